@@ -0,0 +1,195 @@
+/**
+ * Agenda item attachments (staff reports, ordinances, presentations):
+ * download them as raw files, extract their text and describe them for the
+ * documents table.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { pathFor, StorageTypes } from '../storage/paths.js';
+import { getSource } from '../sources/index.js';
+
+const execFileAsync = promisify(execFile);
+
+export const DocumentStatus = {
+  EXTRACTED: 'extracted',
+  DOWNLOADED: 'downloaded',
+  FAILED: 'failed'
+};
+
+const EXTENSIONS_BY_TYPE = {
+  'application/pdf': 'pdf',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.ms-powerpoint': 'ppt',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+  'application/vnd.ms-excel': 'xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx'
+};
+
+/**
+ * Attachments of every agenda item, once each
+ * @param {Object} agendaData - Output of deriveAgendaData
+ * @returns {Array} - Attachments with the owning item's id and title
+ */
+export function collectAttachments(agendaData) {
+  const seen = new Set();
+  const attachments = [];
+
+  for (const item of agendaData.agendaItems) {
+    for (const attachment of item.attachments || []) {
+      const key = `${item.id}:${attachment.documentId ?? attachment.url}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      attachments.push({ ...attachment, itemId: item.id, itemTitle: item.title });
+    }
+  }
+
+  return attachments;
+}
+
+function extensionFor(contentType, filename) {
+  const fromName = filename?.match(/\.([a-z0-9]{2,5})$/i);
+  if (fromName) return fromName[1].toLowerCase();
+
+  const type = contentType?.split(';')[0].trim().toLowerCase();
+  return EXTENSIONS_BY_TYPE[type] || 'bin';
+}
+
+async function findExisting(meetingId, options) {
+  const pdfPath = pathFor(StorageTypes.RAW_ATTACHMENT, meetingId, options);
+  const dir = path.dirname(pdfPath);
+  const prefix = path.basename(pdfPath, '.pdf');
+
+  try {
+    const match = (await fs.readdir(dir)).find(name => name.startsWith(`${prefix}.`));
+    return match ? path.join(dir, match) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract the text layer of a PDF with poppler's pdftotext
+ * @returns {Promise<{text: string, pageCount: number|null}>}
+ */
+async function extractPdfText(pdfPath, textPath) {
+  await fs.mkdir(path.dirname(textPath), { recursive: true });
+  await execFileAsync('pdftotext', ['-layout', '-enc', 'UTF-8', pdfPath, textPath], {
+    maxBuffer: 10 * 1024 * 1024
+  });
+
+  let pageCount = null;
+  try {
+    const { stdout } = await execFileAsync('pdfinfo', [pdfPath]);
+    const pages = stdout.match(/^Pages:\s+(\d+)/m);
+    pageCount = pages ? parseInt(pages[1], 10) : null;
+  } catch (error) {
+    // Page count is informational; text is what matters
+  }
+
+  return { text: await fs.readFile(textPath, 'utf8'), pageCount };
+}
+
+/**
+ * Download one attachment (or reuse the stored copy) and extract its text
+ * @param {Object} meeting - Meeting row
+ * @param {Object} attachment - Entry from collectAttachments
+ * @returns {Promise<Object>} - Document record for the documents table, with `text`
+ */
+export async function processAttachment(meeting, attachment) {
+  const source = getSource(meeting.source);
+  const options = { itemId: attachment.itemId, documentId: attachment.documentId ?? 'doc' };
+  const record = {
+    agenda_item_id: attachment.itemId,
+    document_id: attachment.documentId,
+    title: attachment.title,
+    url: attachment.url,
+    content_type: null,
+    file_path: null,
+    text_path: null,
+    page_count: null,
+    size_bytes: null,
+    sha256: null,
+    text: null,
+    status: DocumentStatus.FAILED,
+    error: null
+  };
+
+  try {
+    let filePath = await findExisting(meeting.id, options);
+    let data;
+
+    if (filePath) {
+      data = await fs.readFile(filePath);
+    } else {
+      const download = await source.fetchAttachment(attachment);
+      data = download.data;
+      record.content_type = download.contentType;
+      if (!record.title && download.filename) record.title = download.filename;
+
+      const extension = extensionFor(download.contentType, download.filename || attachment.title);
+      filePath = pathFor(StorageTypes.RAW_ATTACHMENT, meeting.id, { ...options, extension });
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, data);
+    }
+
+    record.file_path = filePath;
+    record.size_bytes = data.length;
+    record.sha256 = crypto.createHash('sha256').update(data).digest('hex');
+    record.status = DocumentStatus.DOWNLOADED;
+
+    if (path.extname(filePath) === '.pdf') {
+      const textPath = pathFor(StorageTypes.DERIVED_ATTACHMENT_TEXT, meeting.id, options);
+      const { text, pageCount } = await extractPdfText(filePath, textPath);
+      record.text_path = textPath;
+      record.text = text;
+      record.page_count = pageCount;
+      record.status = DocumentStatus.EXTRACTED;
+    }
+  } catch (error) {
+    record.error = error.message;
+    console.warn(JSON.stringify({
+      message: 'Attachment processing failed',
+      meeting_id: meeting.id,
+      agenda_item_id: attachment.itemId,
+      document_id: attachment.documentId,
+      url: attachment.url,
+      stage: record.file_path ? 'text' : 'download',
+      error: error.message,
+      step: 'attachment_error'
+    }));
+  }
+
+  return record;
+}
+
+/**
+ * Download and extract every attachment on a meeting's agenda.
+ * Failures are recorded per document rather than thrown.
+ * @param {Object} meeting - Meeting row
+ * @param {Object} agendaData - Output of deriveAgendaData
+ * @returns {Promise<Array>} - Document records
+ */
+export async function processAttachments(meeting, agendaData) {
+  const attachments = collectAttachments(agendaData);
+  const records = [];
+
+  for (const attachment of attachments) {
+    records.push(await processAttachment(meeting, attachment));
+  }
+
+  console.log(JSON.stringify({
+    message: 'Attachments processed',
+    meeting_id: meeting.id,
+    total: records.length,
+    extracted: records.filter(record => record.status === DocumentStatus.EXTRACTED).length,
+    failed: records.filter(record => record.status === DocumentStatus.FAILED).length,
+    step: 'attachments_complete'
+  }));
+
+  return records;
+}
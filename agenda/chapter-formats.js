@@ -0,0 +1,123 @@
+/**
+ * Chapter exports for players other than YouTube: WebVTT chapter tracks,
+ * ffmpeg metadata, Podcasting 2.0 chapters and a plain chapters JSON.
+ *
+ * Every format is rendered from the normalized chapters (see chapters.js),
+ * so they all agree with the YouTube description.
+ */
+import { formatTimestamp, MIN_CHAPTER_SECONDS } from './chapters.js';
+
+export const PODCAST_CHAPTERS_VERSION = '1.2.0';
+
+/**
+ * End of a chapter in seconds. The last chapter runs to the end of the
+ * video when its length is known, otherwise to its own bookmark's end.
+ */
+function chapterEnd(chapter, durationSeconds) {
+  if (chapter.end !== null && chapter.end !== undefined) return chapter.end;
+  if (durationSeconds) return Math.max(Math.floor(durationSeconds), chapter.start);
+  return chapter.start + MIN_CHAPTER_SECONDS;
+}
+
+function withEnds(chapters, durationSeconds) {
+  return chapters.map((chapter, index) => ({
+    ...chapter,
+    end: index === chapters.length - 1 ? chapterEnd(chapter, durationSeconds) : chapter.end
+  }));
+}
+
+function escapeFfmetadata(value) {
+  return String(value).replace(/[=;#\\\n]/g, char => `\\${char}`);
+}
+
+/**
+ * WebVTT chapters track (for <track kind="chapters">)
+ * @param {Array} chapters - Normalized chapters
+ * @param {Object} options
+ * @param {number} [options.durationSeconds] - Video length, used to end the last chapter
+ * @returns {string}
+ */
+export function toWebVtt(chapters, { durationSeconds } = {}) {
+  const cues = withEnds(chapters, durationSeconds).map((chapter, index) => [
+    `${index + 1}`,
+    `${formatTimestamp(chapter.start)}.000 --> ${formatTimestamp(chapter.end)}.000`,
+    // A blank line would end the cue early
+    chapter.title.replace(/\s*\n\s*/g, ' ')
+  ].join('\n'));
+
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * ffmpeg metadata file (`ffmpeg -i video -i file -map_metadata 1 -map_chapters 1`)
+ * @param {Array} chapters - Normalized chapters
+ * @param {Object} options
+ * @param {number} [options.durationSeconds] - Video length, used to end the last chapter
+ * @param {Object} [options.tags] - Global tags, e.g. { title, date }
+ * @returns {string}
+ */
+export function toFfmetadata(chapters, { durationSeconds, tags = {} } = {}) {
+  const lines = [';FFMETADATA1'];
+
+  for (const [key, value] of Object.entries(tags)) {
+    if (value !== null && value !== undefined && value !== '') {
+      lines.push(`${key}=${escapeFfmetadata(value)}`);
+    }
+  }
+
+  for (const chapter of withEnds(chapters, durationSeconds)) {
+    lines.push(
+      '',
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${chapter.start * 1000}`,
+      `END=${chapter.end * 1000}`,
+      `title=${escapeFfmetadata(chapter.title)}`
+    );
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Podcasting 2.0 JSON chapters (podcast:chapters)
+ * @param {Object} meeting - Meeting row
+ * @param {Array} chapters - Normalized chapters
+ * @returns {Object}
+ */
+export function toPodcastChapters(meeting, chapters) {
+  return {
+    version: PODCAST_CHAPTERS_VERSION,
+    title: meeting.title,
+    chapters: chapters.map(chapter => {
+      const entry = { startTime: chapter.start, title: chapter.title };
+      if (chapter.end !== null && chapter.end !== undefined) entry.endTime = chapter.end;
+      return entry;
+    })
+  };
+}
+
+/**
+ * Machine-readable chapters with their agenda item ids, for our own consumers
+ * @param {Object} meeting - Meeting row
+ * @param {Array} chapters - Normalized chapters
+ * @param {Object} report - Report from normalizeChapters
+ * @returns {Object}
+ */
+export function toChaptersJson(meeting, chapters, report) {
+  return {
+    meetingId: meeting.id,
+    title: meeting.title,
+    date: meeting.date,
+    valid: report.valid,
+    chapters: chapters.map((chapter, index) => ({
+      index,
+      start: chapter.start,
+      end: chapter.end,
+      timestamp: formatTimestamp(chapter.start),
+      title: chapter.title,
+      agendaItemIds: chapter.itemIds
+    })),
+    generatedAt: new Date().toISOString()
+  };
+}
@@ -0,0 +1,196 @@
+/**
+ * Turn timestamped agenda items into chapters YouTube will accept.
+ *
+ * YouTube ignores a video's chapters entirely unless there are at least
+ * three, the first starts at 00:00, they ascend, and each lasts at least
+ * 10 seconds. normalizeChapters repairs what it can and reports every change.
+ */
+
+export const MIN_CHAPTERS = 3;
+export const MIN_CHAPTER_SECONDS = 10;
+export const MAX_TITLE_LENGTH = 100;
+
+const PRE_MEETING_TITLE = 'Pre-meeting';
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  hellip: '…'
+};
+
+// Numeric entities outside this range, or for a lone surrogate, are left as written
+const MAX_CODE_POINT = 0x10ffff;
+
+function isDecodableCodePoint(code) {
+  return Number.isInteger(code) && code >= 0 && code <= MAX_CODE_POINT && !(code >= 0xd800 && code <= 0xdfff);
+}
+
+/**
+ * Decode HTML entities, including double-encoded ones like "&amp;amp;"
+ */
+export function decodeEntities(text) {
+  let decoded = text;
+  for (let pass = 0; pass < 3; pass++) {
+    const next = decoded.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return isDecodableCodePoint(code) ? String.fromCodePoint(code) : entity;
+      }
+      return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+    });
+    if (next === decoded) break;
+    decoded = next;
+  }
+  return decoded;
+}
+
+function truncateTitle(title) {
+  if (title.length <= MAX_TITLE_LENGTH) return title;
+  return `${title.slice(0, MAX_TITLE_LENGTH - 1).trimEnd()}…`;
+}
+
+function mergeTitles(first, second) {
+  return first === second ? first : `${first} / ${second}`;
+}
+
+/**
+ * Format seconds as HH:MM:SS
+ */
+export function formatTimestamp(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+  return [hours, minutes, secs].map(part => part.toString().padStart(2, '0')).join(':');
+}
+
+/**
+ * Normalize timestamped agenda items into valid chapters
+ * @param {Array} agendaItems - Items with `title`, `timeStart` and `timeEnd` (ms)
+ * @param {Object} options
+ * @param {number} [options.durationSeconds] - Probed video length; YouTube runs the last chapter to the end of the video
+ * @returns {{chapters: Array<{start: number, end: number|null, title: string, itemIds: number[]}>, report: Object}}
+ *   Chapter times are whole seconds; `report.valid` says whether YouTube will show them
+ */
+export function normalizeChapters(agendaItems, { durationSeconds = null } = {}) {
+  const changes = [];
+  const timed = agendaItems.filter(item => item.timeStart !== null && item.timeStart !== undefined);
+
+  let chapters = [];
+  for (const item of timed) {
+    const raw = (item.title || '').replace(/\s+/g, ' ').trim();
+    const decoded = decodeEntities(raw).replace(/\s+/g, ' ').trim();
+    if (decoded !== raw) {
+      changes.push({ type: 'decoded_entities', item_id: item.id, from: raw, to: decoded });
+    }
+    if (!decoded) {
+      changes.push({ type: 'dropped_untitled', item_id: item.id });
+      continue;
+    }
+
+    chapters.push({
+      start: Math.floor(item.timeStart / 1000),
+      end: item.timeEnd !== null && item.timeEnd !== undefined ? Math.floor(item.timeEnd / 1000) : null,
+      title: decoded,
+      itemIds: [item.id]
+    });
+  }
+
+  const inputOrder = chapters.map(chapter => chapter.start);
+  chapters.sort((a, b) => a.start - b.start);
+  if (chapters.some((chapter, index) => chapter.start !== inputOrder[index])) {
+    changes.push({ type: 'sorted' });
+  }
+
+  // Items sharing a timestamp, or starting too soon after the previous one,
+  // fold into the previous chapter
+  const merged = [];
+  for (const chapter of chapters) {
+    const previous = merged[merged.length - 1];
+    if (previous && chapter.start - previous.start < MIN_CHAPTER_SECONDS) {
+      changes.push({
+        type: chapter.start === previous.start ? 'merged_duplicate' : 'merged_short',
+        item_ids: chapter.itemIds,
+        into_item_id: previous.itemIds[0],
+        start: formatTimestamp(chapter.start)
+      });
+      previous.title = mergeTitles(previous.title, chapter.title);
+      previous.itemIds.push(...chapter.itemIds);
+      previous.end = Math.max(previous.end ?? 0, chapter.end ?? 0) || null;
+      continue;
+    }
+    merged.push({ ...chapter, itemIds: [...chapter.itemIds] });
+  }
+  chapters = merged;
+
+  // The last chapter lasts until the end of the video, so its bookmark's end
+  // (often a brief "Adjourn") does not matter; only a video ending under
+  // MIN_CHAPTER_SECONDS after it starts makes it too short
+  const last = chapters[chapters.length - 1];
+  const videoEnd = durationSeconds ? Math.floor(durationSeconds) : null;
+  if (chapters.length > 1 && videoEnd !== null && videoEnd - last.start < MIN_CHAPTER_SECONDS) {
+    const previous = chapters[chapters.length - 2];
+    changes.push({
+      type: 'merged_short',
+      item_ids: last.itemIds,
+      into_item_id: previous.itemIds[0],
+      start: formatTimestamp(last.start)
+    });
+    previous.title = mergeTitles(previous.title, last.title);
+    previous.itemIds.push(...last.itemIds);
+    // A video shorter than the bookmarks must not end a chapter before it starts
+    previous.end = Math.max(videoEnd, previous.start);
+    chapters.pop();
+  } else if (chapters.length > 0 && videoEnd !== null) {
+    last.end = Math.max(videoEnd, last.start);
+  }
+
+  if (chapters.length > 0 && chapters[0].start !== 0) {
+    if (chapters[0].start < MIN_CHAPTER_SECONDS) {
+      changes.push({ type: 'shifted_start', item_ids: chapters[0].itemIds, from: formatTimestamp(chapters[0].start) });
+      chapters[0].start = 0;
+    } else {
+      changes.push({ type: 'inserted_start', title: PRE_MEETING_TITLE });
+      chapters.unshift({ start: 0, end: chapters[0].start, title: PRE_MEETING_TITLE, itemIds: [] });
+    }
+  }
+
+  for (const chapter of chapters) {
+    const truncated = truncateTitle(chapter.title);
+    if (truncated !== chapter.title) {
+      changes.push({ type: 'truncated_title', item_ids: chapter.itemIds, from: chapter.title, to: truncated });
+      chapter.title = truncated;
+    }
+  }
+
+  // Each chapter runs until the next one starts
+  chapters.forEach((chapter, index) => {
+    const next = chapters[index + 1];
+    if (next) chapter.end = next.start;
+  });
+
+  const problems = [];
+  if (chapters.length < MIN_CHAPTERS) {
+    problems.push(`Only ${chapters.length} chapter(s); YouTube needs at least ${MIN_CHAPTERS}`);
+  }
+
+  return {
+    chapters,
+    report: {
+      input_items: timed.length,
+      output_chapters: chapters.length,
+      valid: problems.length === 0,
+      changes,
+      problems
+    }
+  };
+}
@@ -0,0 +1,374 @@
+/**
+ * Agenda extraction: fetch the agenda page, keep the raw HTML and bookmarks,
+ * and derive agenda data, chapters and metadata from them.
+ *
+ * Deriving only ever reads the raw files, so a meeting can be re-derived
+ * offline (`fromRaw`) and past parses can be reproduced.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { pathFor, StorageTypes } from '../storage/paths.js';
+import { getSource } from '../sources/index.js';
+import { formatMeetingDate } from '../lib/dates.js';
+import { joinBookmarks, shiftAgendaItems, placeBookmarks, agendaItemsForPart } from './items.js';
+import { normalizeChapters, formatTimestamp } from './chapters.js';
+import { toWebVtt, toFfmetadata, toPodcastChapters, toChaptersJson } from './chapter-formats.js';
+
+function logParseWarnings(meetingId, warnings) {
+  for (const warning of warnings) {
+    console.warn(JSON.stringify({
+      message: 'Agenda parse warning',
+      meeting_id: meetingId,
+      warning,
+      step: 'agenda_parse_warning'
+    }));
+  }
+}
+
+async function writeArtifact(type, meetingId, contents) {
+  const filePath = pathFor(type, meetingId);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, contents);
+  return filePath;
+}
+
+/**
+ * Whether the raw agenda for a meeting has been saved
+ */
+export async function hasRawAgenda(meetingId) {
+  try {
+    await fs.access(pathFor(StorageTypes.RAW_AGENDA, meetingId));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Fetch the live agenda page and save it, with its bookmarks, as raw files
+ * @param {Object} meeting - Meeting row
+ * @returns {Promise<{html: string, fetchedAt: string}>}
+ */
+export async function fetchRawAgenda(meeting) {
+  const source = getSource(meeting.source);
+  const url = source.agendaUrl(meeting.id);
+
+  console.log(JSON.stringify({
+    message: 'Fetching agenda',
+    meeting_id: meeting.id,
+    source: source.id,
+    url,
+    step: 'agenda_fetch'
+  }));
+
+  const html = await source.fetchAgenda(meeting.id);
+  const fetchedAt = new Date().toISOString();
+  const { bookmarks } = source.parseAgenda(html);
+
+  const htmlPath = await writeArtifact(StorageTypes.RAW_AGENDA, meeting.id, html);
+  const bookmarksPath = await writeArtifact(StorageTypes.RAW_BOOKMARKS, meeting.id, JSON.stringify({
+    meetingId: meeting.id,
+    source: source.id,
+    url,
+    fetchedAt,
+    bookmarks
+  }, null, 2));
+
+  console.log(JSON.stringify({
+    message: 'Saved raw agenda',
+    meeting_id: meeting.id,
+    html_path: htmlPath,
+    bookmarks_path: bookmarksPath,
+    bookmarks: bookmarks ? bookmarks.length : 0,
+    step: 'agenda_raw_saved'
+  }));
+
+  return { html, fetchedAt };
+}
+
+/**
+ * Read a previously saved raw agenda, without touching the network
+ * @param {string} meetingId - Meeting ID
+ * @returns {Promise<{html: string, fetchedAt: string|null}>}
+ * @throws {Error} - When no raw agenda has been saved for the meeting
+ */
+export async function loadRawAgenda(meetingId) {
+  const htmlPath = pathFor(StorageTypes.RAW_AGENDA, meetingId);
+
+  let html;
+  try {
+    html = await fs.readFile(htmlPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No raw agenda saved for meeting ${meetingId} (${htmlPath})`);
+    }
+    throw error;
+  }
+
+  let fetchedAt = null;
+  try {
+    const saved = JSON.parse(await fs.readFile(pathFor(StorageTypes.RAW_BOOKMARKS, meetingId), 'utf8'));
+    fetchedAt = saved.fetchedAt || null;
+  } catch {
+    // Bookmarks are embedded in the HTML too; the JSON copy only adds fetch details
+  }
+
+  return { html, fetchedAt };
+}
+
+/**
+ * Video bookmarks for a meeting, from the saved raw copy or else the live page
+ * @param {Object} meeting - Meeting row
+ * @returns {Promise<Array|null>} - Bookmarks, or null when the agenda has none
+ */
+export async function loadBookmarks(meeting) {
+  try {
+    const saved = JSON.parse(await fs.readFile(pathFor(StorageTypes.RAW_BOOKMARKS, meeting.id), 'utf8'));
+    return saved.bookmarks;
+  } catch {
+    const source = getSource(meeting.source);
+    return source.parseAgenda(await source.fetchAgenda(meeting.id)).bookmarks;
+  }
+}
+
+/**
+ * Derive agenda data from agenda page HTML
+ * @param {Object} meeting - Meeting row
+ * @param {string} html - Agenda page HTML
+ * @param {Object} options
+ * @param {Array} [options.parts] - video_parts rows of a multi-part recording;
+ *   item times are placed on the joined timeline
+ * @returns {Object} - { meetingId, agendaItems, agendaTree, rawBookmarks, warnings }
+ */
+export function deriveAgendaData(meeting, html, { parts = [] } = {}) {
+  const meetingId = meeting.id;
+  const source = getSource(meeting.source);
+  const { items, bookmarks, warnings: parseWarnings } = source.parseAgenda(html);
+
+  if (!bookmarks) {
+    console.log(JSON.stringify({
+      message: 'No bookmarks found',
+      meeting_id: meetingId,
+      step: 'agenda_extract'
+    }));
+    logParseWarnings(meetingId, parseWarnings);
+    return { meetingId, agendaItems: [], agendaTree: items, warnings: parseWarnings };
+  }
+
+  const { agendaItems, warnings: joinWarnings } = joinBookmarks(items, placeBookmarks(bookmarks, parts));
+  const warnings = [...parseWarnings, ...joinWarnings];
+  logParseWarnings(meetingId, warnings);
+
+  return {
+    meetingId,
+    agendaItems,
+    agendaTree: items,
+    rawBookmarks: bookmarks,
+    warnings
+  };
+}
+
+/**
+ * Length of a meeting's downloaded video, from the probe stored at download
+ */
+function probedDurationSeconds(meeting) {
+  try {
+    return JSON.parse(meeting.media_probe)?.duration_seconds ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalize the agenda's timestamped items into chapters, logging what was fixed
+ * @param {Object} meeting - Meeting row
+ * @param {Object} agendaData - Has `agendaItems`
+ * @param {number} [durationSeconds] - Length of the video the chapters are for
+ * @returns {{chapters: Array, report: Object}} - See normalizeChapters
+ */
+export function buildChapters(meeting, agendaData, durationSeconds = probedDurationSeconds(meeting)) {
+  const { chapters, report } = normalizeChapters(agendaData.agendaItems, { durationSeconds });
+
+  if (report.changes.length > 0 || !report.valid) {
+    console.log(JSON.stringify({
+      message: report.valid ? 'Chapters normalized' : 'Chapters will not be shown by YouTube',
+      meeting_id: meeting.id,
+      input_items: report.input_items,
+      output_chapters: report.output_chapters,
+      change_types: [...new Set(report.changes.map(change => change.type))],
+      problems: report.problems,
+      step: 'chapter_generation'
+    }));
+  }
+
+  return { chapters, report };
+}
+
+/**
+ * Write the chapters in every export format
+ * @returns {Promise<Object>} - Paths keyed by format
+ */
+export async function writeChapterFormats(meeting, chapters, report) {
+  const tags = { title: meeting.title, date: meeting.date };
+  const json = (data) => JSON.stringify(data, null, 2);
+
+  return {
+    vtt: await writeArtifact(StorageTypes.DERIVED_CHAPTERS_VTT, meeting.id, toWebVtt(chapters)),
+    ffmetadata: await writeArtifact(StorageTypes.DERIVED_CHAPTERS_FFMETADATA, meeting.id, toFfmetadata(chapters, { tags })),
+    podcast: await writeArtifact(StorageTypes.DERIVED_CHAPTERS_PODCAST, meeting.id, json(toPodcastChapters(meeting, chapters))),
+    json: await writeArtifact(StorageTypes.DERIVED_CHAPTERS_JSON, meeting.id, json(toChaptersJson(meeting, chapters, report)))
+  };
+}
+
+export function generateYouTubeChapters(meeting, chapters) {
+  const { title: meetingTitle, date } = meeting;
+
+  if (chapters.length === 0) {
+    console.log(JSON.stringify({
+      message: 'No timestamped agenda items',
+      meeting_id: meeting.id,
+      step: 'chapter_generation'
+    }));
+    return '';
+  }
+
+  const formattedDate = formatMeetingDate(date);
+
+  let chaptersText = `${meetingTitle} - ${formattedDate}\n\n`;
+  chaptersText += 'Chapters:\n';
+
+  for (const chapter of chapters) {
+    chaptersText += `${formatTimestamp(chapter.start)} ${chapter.title}\n`;
+  }
+
+  return chaptersText;
+}
+
+/**
+ * Write the YouTube chapters for the trimmed cut of a video, whose first
+ * `trimStartSeconds` were removed as dead air
+ * @returns {Promise<{chapters: Array, chaptersText: string, chaptersPath: string}>}
+ */
+export async function writeTrimmedChapters(meeting, agendaData, trimStartSeconds) {
+  const agendaItems = shiftAgendaItems(agendaData.agendaItems, trimStartSeconds);
+  const durationSeconds = probedDurationSeconds(meeting);
+  const { chapters } = buildChapters(meeting, { agendaItems }, durationSeconds && durationSeconds - trimStartSeconds);
+  const chaptersText = generateYouTubeChapters(meeting, chapters);
+  const chaptersPath = await writeArtifact(StorageTypes.DERIVED_CHAPTERS_TRIMMED, meeting.id, chaptersText);
+
+  console.log(JSON.stringify({
+    message: 'Wrote trimmed chapters',
+    meeting_id: meeting.id,
+    trim_start_seconds: trimStartSeconds,
+    chapters: chapters.length,
+    chapters_path: chaptersPath,
+    step: 'chapter_generation'
+  }));
+
+  return { chapters, chaptersText, chaptersPath };
+}
+
+/**
+ * Write the YouTube chapters of each part of a multi-part recording, timed
+ * from the start of that part
+ * @returns {Promise<string[]>} - Chapter file paths, in part order
+ */
+export async function writePartChapters(meeting, agendaData, parts) {
+  const chaptersPaths = [];
+
+  for (const part of parts) {
+    const { chapters } = buildChapters(meeting, { agendaItems: agendaItemsForPart(agendaData.agendaItems, part) }, part.duration_seconds);
+    const chaptersPath = pathFor(StorageTypes.DERIVED_CHAPTERS_PART, meeting.id, { part: part.part_index });
+    await fs.mkdir(path.dirname(chaptersPath), { recursive: true });
+    await fs.writeFile(chaptersPath, generateYouTubeChapters(meeting, chapters));
+    chaptersPaths.push(chaptersPath);
+  }
+
+  console.log(JSON.stringify({
+    message: 'Wrote part chapters',
+    meeting_id: meeting.id,
+    parts: parts.length,
+    step: 'chapter_generation'
+  }));
+
+  return chaptersPaths;
+}
+
+/**
+ * Extract agenda data and write the chapters and metadata files
+ * @param {Object} meeting - Meeting row
+ * @param {Object} options
+ * @param {boolean} [options.fromRaw] - Re-derive from the saved raw agenda instead of fetching
+ * @param {Array} [options.parts] - video_parts rows, for a multi-part recording
+ * @returns {Promise<Object>} - { agendaData, chapters, chaptersText, chaptersPath, chapterFormatPaths, partChaptersPaths, metadataPath }
+ */
+export async function extractMeetingData(meeting, { fromRaw = false, parts = [] } = {}) {
+  const meetingId = meeting.id;
+
+  console.log(JSON.stringify({
+    message: 'Starting agenda extraction',
+    meeting_id: meetingId,
+    from_raw: fromRaw,
+    step: 'extract_start'
+  }));
+
+  let raw;
+  try {
+    raw = fromRaw ? await loadRawAgenda(meetingId) : await fetchRawAgenda(meeting);
+  } catch (error) {
+    console.error(JSON.stringify({
+      message: 'Agenda extraction error',
+      meeting_id: meetingId,
+      error: error.message,
+      step: 'agenda_extract_error'
+    }));
+    throw error;
+  }
+
+  const agendaData = deriveAgendaData(meeting, raw.html, { parts });
+  const { chapters, report: chapterReport } = buildChapters(meeting, agendaData);
+  const chaptersText = generateYouTubeChapters(meeting, chapters);
+
+  const chaptersPath = await writeArtifact(StorageTypes.DERIVED_CHAPTERS, meetingId, chaptersText);
+  const chapterFormatPaths = await writeChapterFormats(meeting, chapters, chapterReport);
+  // Keep the trimmed cut's chapters in step when re-extracting
+  if (meeting.trim_start_seconds > 0) {
+    await writeTrimmedChapters(meeting, agendaData, meeting.trim_start_seconds);
+  }
+  const partChaptersPaths = parts.length > 1 ? await writePartChapters(meeting, agendaData, parts) : [];
+  const metadataPath = await writeArtifact(StorageTypes.DERIVED_METADATA, meetingId, JSON.stringify({
+    meetingId,
+    title: meeting.title,
+    date: meeting.date,
+    agendaData,
+    chaptersText,
+    chapters,
+    chapterReport,
+    videoParts: parts.length > 1 ? parts.map(({ part_index, offset_seconds, duration_seconds }) => ({ part_index, offset_seconds, duration_seconds })) : undefined,
+    agendaFetchedAt: raw.fetchedAt,
+    derivedFromRaw: fromRaw,
+    extractedAt: new Date().toISOString()
+  }, null, 2));
+
+  console.log(JSON.stringify({
+    message: 'Agenda extraction complete',
+    meeting_id: meetingId,
+    agenda_items: agendaData.agendaItems.length,
+    parse_warnings: agendaData.warnings.length,
+    chapters_path: chaptersPath,
+    chapter_formats: Object.keys(chapterFormatPaths),
+    metadata_path: metadataPath,
+    from_raw: fromRaw,
+    step: 'extract_complete'
+  }));
+
+  return {
+    agendaData,
+    chapters,
+    chaptersText,
+    chaptersPath,
+    chapterFormatPaths,
+    partChaptersPaths,
+    metadataPath
+  };
+}
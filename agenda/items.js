@@ -0,0 +1,157 @@
+/**
+ * Source-independent helpers over parsed agenda trees
+ */
+
+function formatTime(ms) {
+  // 0 is a real bookmark at the very start of the video
+  if (ms === null || ms === undefined) return null;
+
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  return [
+    hours.toString().padStart(2, '0'),
+    minutes.toString().padStart(2, '0'),
+    seconds.toString().padStart(2, '0')
+  ].join(':');
+}
+
+/**
+ * Agenda tree as a flat list in document order
+ * @param {Array} items - Top-level items with `children`
+ * @returns {Array} - Items without `children`, each with the title of its top-level section
+ */
+export function flattenAgenda(items, section = null) {
+  const flat = [];
+
+  for (const item of items) {
+    const { children, ...rest } = item;
+    const sectionTitle = section ?? (children.length > 0 ? item.title : null);
+    flat.push({ ...rest, section: section ?? null });
+    flat.push(...flattenAgenda(children, sectionTitle));
+  }
+
+  return flat;
+}
+
+/**
+ * Attach video bookmark times to agenda items
+ * @param {Array} items - Agenda tree from the source's parseAgenda
+ * @param {Array} bookmarks - Bookmarks with AgendaItemId, TimeStart and TimeEnd (ms)
+ * @returns {{agendaItems: Array, warnings: string[]}} - Flat items sorted by
+ *   start time (untimed items last), and bookmarks that matched no item
+ */
+export function joinBookmarks(items, bookmarks) {
+  const warnings = [];
+  const flat = flattenAgenda(items);
+  const byItemId = new Map(bookmarks.map(bookmark => [bookmark.AgendaItemId, bookmark]));
+
+  const agendaItems = flat.map(item => {
+    const bookmark = byItemId.get(item.id);
+
+    return {
+      ...item,
+      timeStart: bookmark ? bookmark.TimeStart : null,
+      timeEnd: bookmark ? bookmark.TimeEnd : null,
+      startTime: bookmark ? formatTime(bookmark.TimeStart) : null,
+      endTime: bookmark ? formatTime(bookmark.TimeEnd) : null,
+      durationSeconds: bookmark ? Math.floor((bookmark.TimeEnd - bookmark.TimeStart) / 1000) : null
+    };
+  });
+
+  const itemIds = new Set(flat.map(item => item.id));
+  const orphaned = bookmarks.filter(bookmark => !itemIds.has(bookmark.AgendaItemId));
+  if (orphaned.length > 0) {
+    warnings.push(`${orphaned.length} bookmark(s) reference agenda items not found on the page: ${orphaned.map(bookmark => bookmark.AgendaItemId).join(', ')}`);
+  }
+
+  agendaItems.sort((a, b) => (a.timeStart ?? Infinity) - (b.timeStart ?? Infinity));
+
+  return { agendaItems, warnings };
+}
+
+/**
+ * Agenda items retimed for a video whose first `offsetSeconds` were cut.
+ * Items that ended before the cut are dropped; one spanning it starts at 0.
+ * @param {Array} agendaItems - Items from joinBookmarks
+ * @param {number} offsetSeconds - Seconds removed from the start of the video
+ * @returns {Array}
+ */
+export function shiftAgendaItems(agendaItems, offsetSeconds) {
+  const offsetMs = Math.round(offsetSeconds * 1000);
+
+  return agendaItems
+    .filter(item => item.timeEnd === null || item.timeEnd === undefined || item.timeEnd > offsetMs)
+    .map(item => {
+      if (item.timeStart === null || item.timeStart === undefined) return item;
+
+      const timeStart = Math.max(0, item.timeStart - offsetMs);
+      const timeEnd = item.timeEnd === null || item.timeEnd === undefined ? item.timeEnd : item.timeEnd - offsetMs;
+      return {
+        ...item,
+        timeStart,
+        timeEnd,
+        startTime: formatTime(timeStart),
+        endTime: formatTime(timeEnd),
+        durationSeconds: timeEnd === null || timeEnd === undefined ? item.durationSeconds : Math.floor((timeEnd - timeStart) / 1000)
+      };
+    });
+}
+
+/**
+ * Bookmarks moved onto the timeline of a multi-part recording.
+ *
+ * A portal times the bookmarks of a multi-part recording either across the
+ * whole meeting or from the start of each file. When they all fit in the
+ * first part, each time a bookmark goes back in time (in page order) is read
+ * as the next part starting, and the bookmarks are offset by their part.
+ * Otherwise they are already on the meeting's timeline and left alone.
+ * @param {Array} bookmarks - Bookmarks in page order, TimeStart/TimeEnd in ms
+ * @param {Array} parts - Parts in order, with duration_seconds and offset_seconds
+ * @returns {Array} - Bookmarks on the meeting's timeline
+ */
+export function placeBookmarks(bookmarks, parts) {
+  if (!bookmarks || parts.length < 2) return bookmarks;
+
+  const firstPartMs = parts[0].duration_seconds * 1000;
+  if (bookmarks.some(bookmark => (bookmark.TimeEnd ?? bookmark.TimeStart) > firstPartMs)) {
+    return bookmarks;
+  }
+
+  let partIndex = 0;
+  let previousStart = -Infinity;
+
+  return bookmarks.map(bookmark => {
+    if (bookmark.TimeStart < previousStart && partIndex < parts.length - 1) {
+      partIndex++;
+    }
+    previousStart = bookmark.TimeStart;
+
+    const offsetMs = Math.round(parts[partIndex].offset_seconds * 1000);
+    return {
+      ...bookmark,
+      TimeStart: bookmark.TimeStart + offsetMs,
+      TimeEnd: bookmark.TimeEnd === null || bookmark.TimeEnd === undefined ? bookmark.TimeEnd : bookmark.TimeEnd + offsetMs
+    };
+  });
+}
+
+/**
+ * Agenda items of one part of a multi-part recording, timed from the start
+ * of that part. An item running into the part from the previous one starts at 0.
+ * @param {Array} agendaItems - Items on the meeting's timeline
+ * @param {Object} part - Part with duration_seconds and offset_seconds
+ * @returns {Array}
+ */
+export function agendaItemsForPart(agendaItems, part) {
+  const startMs = Math.round(part.offset_seconds * 1000);
+  const endMs = Math.round((part.offset_seconds + part.duration_seconds) * 1000);
+
+  const inPart = agendaItems.filter(item => item.timeStart !== null && item.timeStart !== undefined
+    && item.timeStart < endMs
+    && (item.timeStart >= startMs || (item.timeEnd ?? 0) > startMs));
+
+  return shiftAgendaItems(inPart, part.offset_seconds);
+}
@@ -4,10 +4,21 @@ import cors from 'cors';
 import { 
   initializeDatabase, 
   getMeeting, 
-  getMeetingsByState,
+  getMeetings,
   getMeetingsToProcess,
   insertMeeting,
-  updateMeetingState 
+  updateMeetingState,
+  getMeetingChanges,
+  getDiscoveryRuns,
+  getDiscoveryRun,
+  getBodies,
+  getUnmatchedTitles,
+  upsertDocument,
+  getMeetingDocuments,
+  searchDocuments,
+  saveVideoParts,
+  getVideoParts,
+  updateVideoPart
 } from '../db/init.js';
 import 'dotenv/config';
 
@@ -16,7 +27,8 @@ const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Attachment text is posted with its document record
+app.use(express.json({ limit: '25mb' }));
 
 // Initialize database once
 let db;
@@ -45,13 +57,107 @@ app.get('/api/meetings/:id', async (req, res) => {
   }
 });
 
-// Get meetings by state
+// Get a meeting's field-level change history
+app.get('/api/meetings/:id/changes', async (req, res) => {
+  try {
+    const changes = await getMeetingChanges(db, req.params.id);
+    res.json(changes);
+  } catch (error) {
+    console.error('Error fetching meeting changes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a meeting's agenda attachments
+app.get('/api/meetings/:id/documents', async (req, res) => {
+  try {
+    const documents = await getMeetingDocuments(db, req.params.id);
+    res.json(documents);
+  } catch (error) {
+    console.error('Error fetching meeting documents:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record an agenda attachment (with its extracted text)
+app.post('/api/meetings/:id/documents', async (req, res) => {
+  try {
+    if (!req.body.url || req.body.agenda_item_id == null || !req.body.status) {
+      return res.status(400).json({ error: 'url, agenda_item_id and status are required' });
+    }
+    
+    const id = await upsertDocument(db, req.params.id, req.body);
+    res.status(201).json({ success: true, id });
+  } catch (error) {
+    console.error('Error saving meeting document:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the parts of a multi-part recording
+app.get('/api/meetings/:id/video-parts', async (req, res) => {
+  try {
+    const parts = await getVideoParts(db, req.params.id);
+    res.json(parts);
+  } catch (error) {
+    console.error('Error fetching video parts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace the parts of a multi-part recording
+app.put('/api/meetings/:id/video-parts', async (req, res) => {
+  try {
+    if (!Array.isArray(req.body) || req.body.some(part => !Number.isInteger(part.part_index))) {
+      return res.status(400).json({ error: 'An array of parts with part_index is required' });
+    }
+    
+    await saveVideoParts(db, req.params.id, req.body);
+    res.json({ success: true, parts: req.body.length });
+  } catch (error) {
+    console.error('Error saving video parts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update one part (e.g. its YouTube video)
+app.patch('/api/meetings/:id/video-parts/:part', async (req, res) => {
+  try {
+    const result = await updateVideoPart(db, req.params.id, parseInt(req.params.part), req.body);
+    res.json({ 
+      success: true,
+      changes: result.changes 
+    });
+  } catch (error) {
+    console.error('Error updating video part:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Search attachment text
+app.get('/api/documents/search', async (req, res) => {
+  try {
+    const { q, limit } = req.query;
+    
+    if (!q) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+    
+    const documents = await searchDocuments(db, q, { limit: limit ? parseInt(limit) : 20 });
+    res.json(documents);
+  } catch (error) {
+    console.error('Error searching documents:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get meetings by state, body, source and/or video content hash
 app.get('/api/meetings', async (req, res) => {
   try {
-    const { state } = req.query;
+    const { state, body, source, content_hash } = req.query;
     
-    if (state) {
-      const meetings = await getMeetingsByState(db, state);
+    if (state || body || source || content_hash) {
+      const meetings = await getMeetings(db, { state, body, source, content_hash });
       return res.json(meetings);
     }
     
@@ -133,6 +239,58 @@ app.patch('/api/meetings/:id', async (req, res) => {
   }
 });
 
+// List governing bodies with meeting counts
+app.get('/api/bodies', async (req, res) => {
+  try {
+    const bodies = await getBodies(db);
+    res.json(bodies);
+  } catch (error) {
+    console.error('Error fetching bodies:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Titles no body rule matched
+app.get('/api/bodies/unmatched', async (req, res) => {
+  try {
+    const titles = await getUnmatchedTitles(db, { source: req.query.source });
+    res.json(titles);
+  } catch (error) {
+    console.error('Error fetching unmatched titles:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List discovery runs, newest first
+app.get('/api/discovery-runs', async (req, res) => {
+  try {
+    const { source, anomalies, limit } = req.query;
+    const runs = await getDiscoveryRuns(db, {
+      source,
+      anomaliesOnly: anomalies === 'true',
+      limit: limit ? parseInt(limit) : 50
+    });
+    res.json(runs);
+  } catch (error) {
+    console.error('Error fetching discovery runs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single discovery run
+app.get('/api/discovery-runs/:id', async (req, res) => {
+  try {
+    const run = await getDiscoveryRun(db, req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Discovery run not found' });
+    }
+    res.json(run);
+  } catch (error) {
+    console.error('Error fetching discovery run:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Start server
 async function start() {
   try {
@@ -37,6 +37,39 @@ export async function getMeetingsByState(state) {
   return response.json();
 }
 
+/**
+ * List meetings filtered by state, body, source and/or video content hash
+ * @param {Object} filters - { state, body, source, content_hash }
+ */
+export async function getMeetings(filters = {}) {
+  const params = new URLSearchParams();
+  if (filters.state) params.set('state', filters.state);
+  if (filters.body) params.set('body', filters.body);
+  if (filters.source) params.set('source', filters.source);
+  if (filters.content_hash) params.set('content_hash', filters.content_hash);
+  
+  const response = await fetch(`${API_BASE}/meetings?${params}`);
+  
+  if (!response.ok) {
+    throw new Error(`Failed to get meetings: ${response.status} ${response.statusText}`);
+  }
+  
+  return response.json();
+}
+
+/**
+ * Get a meeting's field-level change history
+ */
+export async function getMeetingChanges(meetingId) {
+  const response = await fetch(`${API_BASE}/meetings/${meetingId}/changes`);
+  
+  if (!response.ok) {
+    throw new Error(`Failed to get meeting changes: ${response.status} ${response.statusText}`);
+  }
+  
+  return response.json();
+}
+
 /**
  * Update meeting state
  */
@@ -94,6 +127,150 @@ export async function updateMeeting(meetingId, updates) {
   return response.json();
 }
 
+/**
+ * List discovery runs, newest first
+ * @param {Object} filters - { source, anomalies: boolean, limit }
+ */
+export async function getDiscoveryRuns(filters = {}) {
+  const params = new URLSearchParams();
+  if (filters.source) params.set('source', filters.source);
+  if (filters.anomalies) params.set('anomalies', 'true');
+  if (filters.limit) params.set('limit', String(filters.limit));
+  
+  const response = await fetch(`${API_BASE}/discovery-runs?${params}`);
+  
+  if (!response.ok) {
+    throw new Error(`Failed to get discovery runs: ${response.status} ${response.statusText}`);
+  }
+  
+  return response.json();
+}
+
+/**
+ * Get a meeting's agenda attachments
+ */
+export async function getMeetingDocuments(meetingId) {
+  const response = await fetch(`${API_BASE}/meetings/${meetingId}/documents`);
+  
+  if (!response.ok) {
+    throw new Error(`Failed to get meeting documents: ${response.status} ${response.statusText}`);
+  }
+  
+  return response.json();
+}
+
+/**
+ * Record an agenda attachment and its extracted text
+ */
+export async function saveMeetingDocument(meetingId, document) {
+  const response = await fetch(`${API_BASE}/meetings/${meetingId}/documents`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(document),
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to save meeting document: ${response.status} ${response.statusText}`);
+  }
+  
+  return response.json();
+}
+
+/**
+ * Get the parts of a multi-part recording, in order (empty for single videos)
+ */
+export async function getVideoParts(meetingId) {
+  const response = await fetch(`${API_BASE}/meetings/${meetingId}/video-parts`);
+  
+  if (!response.ok) {
+    throw new Error(`Failed to get video parts: ${response.status} ${response.statusText}`);
+  }
+  
+  return response.json();
+}
+
+/**
+ * Replace the parts of a multi-part recording
+ */
+export async function saveVideoParts(meetingId, parts) {
+  const response = await fetch(`${API_BASE}/meetings/${meetingId}/video-parts`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(parts),
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to save video parts: ${response.status} ${response.statusText}`);
+  }
+  
+  return response.json();
+}
+
+/**
+ * Update one part of a multi-part recording
+ */
+export async function updateVideoPart(meetingId, partIndex, updates) {
+  const response = await fetch(`${API_BASE}/meetings/${meetingId}/video-parts/${partIndex}`, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(updates),
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to update video part: ${response.status} ${response.statusText}`);
+  }
+  
+  return response.json();
+}
+
+/**
+ * Search attachment text
+ */
+export async function searchDocuments(query, { limit } = {}) {
+  const params = new URLSearchParams({ q: query });
+  if (limit) params.set('limit', String(limit));
+  
+  const response = await fetch(`${API_BASE}/documents/search?${params}`);
+  
+  if (!response.ok) {
+    throw new Error(`Failed to search documents: ${response.status} ${response.statusText}`);
+  }
+  
+  return response.json();
+}
+
+/**
+ * List governing bodies with meeting counts
+ */
+export async function getBodies() {
+  const response = await fetch(`${API_BASE}/bodies`);
+  
+  if (!response.ok) {
+    throw new Error(`Failed to get bodies: ${response.status} ${response.statusText}`);
+  }
+  
+  return response.json();
+}
+
+/**
+ * Meeting titles no body rule matched
+ */
+export async function getUnmatchedTitles() {
+  const response = await fetch(`${API_BASE}/bodies/unmatched`);
+  
+  if (!response.ok) {
+    throw new Error(`Failed to get unmatched titles: ${response.status} ${response.statusText}`);
+  }
+  
+  return response.json();
+}
+
 /**
  * Check API health
  */
@@ -6,30 +6,21 @@
  */
 
 import { batchProcessMeetings } from './unified-processor.js';
+import { startOfDay } from './lib/dates.js';
 import 'dotenv/config';
 
-// Format date to ISO string with timezone offset
-function toISOStringWithOffset(date) {
-  const pad = num => String(num).padStart(2, '0');
-  
-  const year = date.getFullYear();
-  const month = pad(date.getMonth() + 1);
-  const day = pad(date.getDate());
-  
-  return `${year}-${month}-${day}T00:00:00-04:00`;
-}
-
 // Process a specific month
 async function processMonth(year, month) {
   try {
     console.log(`\n=== Processing meetings for ${year}-${month.toString().padStart(2, '0')} ===`);
     
-    // Create start and end dates for the month
-    const startDate = new Date(year, month - 1, 1);
-    const endDate = new Date(year, month, 0); // Last day of the month
+    // Local midnight on the first of this month and the first of the next,
+    // with whichever offset (EST/EDT) applies on each day
+    const firstOfMonth = `${year}-${month.toString().padStart(2, '0')}-01`;
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
     
-    const startDateString = toISOStringWithOffset(startDate);
-    const endDateString = toISOStringWithOffset(endDate);
+    const startDateString = startOfDay(firstOfMonth);
+    const endDateString = startOfDay(firstOfMonth, undefined, daysInMonth);
     
     console.log(`Date range: ${startDateString} to ${endDateString}`);
     
@@ -3,7 +3,9 @@ import { parseArgs } from 'util';
 import { initializeDatabase, getMeetingsByState, MeetingStates } from './db/init.js';
 import { createQueue } from './queue/config.js';
 import { QUEUE_NAMES } from './workflow/config.js';
+import { withLock, lockOptionsFromFlags, assertLeaseHeld, DISCOVERY_LOCK } from './queue/lock.js';
 import { runDiscovery } from './discover.js';
+import { todayIn } from './lib/dates.js';
 import 'dotenv/config';
 
 async function getQueueStats(queue) {
@@ -17,6 +19,105 @@ async function getQueueStats(queue) {
   return { waiting, active, completed, failed };
 }
 
+async function backfill(db, queue, options, lease = null) {
+  const { fromDate, toDate, batchSize, maxQueueDepth, dryRun } = options;
+  
+  // First, run discovery for the date range
+  console.log(JSON.stringify({
+    message: 'Running discovery',
+    step: 'backfill_discovery'
+  }));
+  
+  if (!dryRun) {
+    // The caller holds the discovery lock for the whole backfill
+    await runDiscovery({ 
+      startDate: fromDate, 
+      endDate: toDate,
+      lock: false,
+      lease
+    });
+  }
+  
+  // Get all DISCOVERED meetings
+  const discoveredMeetings = await getMeetingsByState(db, MeetingStates.DISCOVERED);
+  console.log(JSON.stringify({
+    message: 'Found meetings to process',
+    count: discoveredMeetings.length,
+    step: 'backfill_queue'
+  }));
+  
+  if (dryRun) {
+    console.log(JSON.stringify({
+      message: 'Dry run - would enqueue meetings',
+      meeting_ids: discoveredMeetings.map(m => m.id),
+      step: 'backfill_dry_run'
+    }));
+    return;
+  }
+  
+  // Process in batches
+  let enqueuedCount = 0;
+  for (let i = 0; i < discoveredMeetings.length; i += batchSize) {
+    assertLeaseHeld(lease, 'before the next batch');
+    
+    // Check queue depth
+    const stats = await getQueueStats(queue);
+    const currentDepth = stats.waiting + stats.active;
+    
+    if (currentDepth >= maxQueueDepth) {
+      console.log(JSON.stringify({
+        message: 'Queue depth limit reached, waiting',
+        current_depth: currentDepth,
+        max_depth: maxQueueDepth,
+        step: 'backfill_throttle'
+      }));
+      
+      // Wait for queue to drain
+      while (true) {
+        await new Promise(resolve => setTimeout(resolve, 5000));
+        assertLeaseHeld(lease, 'while waiting for the queue to drain');
+        const newStats = await getQueueStats(queue);
+        const newDepth = newStats.waiting + newStats.active;
+        
+        if (newDepth < maxQueueDepth * 0.8) {
+          console.log(JSON.stringify({
+            message: 'Queue drained, resuming',
+            current_depth: newDepth,
+            step: 'backfill_resume'
+          }));
+          break;
+        }
+      }
+    }
+    
+    // Enqueue batch
+    const batch = discoveredMeetings.slice(i, i + batchSize);
+    
+    for (const meeting of batch) {
+      await queue.add('process', { meetingId: meeting.id }, {
+        jobId: `download-${meeting.id}`,
+      });
+      enqueuedCount++;
+    }
+    
+    console.log(JSON.stringify({
+      message: 'Enqueued batch',
+      batch_start: i,
+      batch_size: batch.length,
+      total_enqueued: enqueuedCount,
+      step: 'backfill_batch'
+    }));
+  }
+  
+  const finalStats = await getQueueStats(queue);
+  console.log(JSON.stringify({
+    message: 'Backfill complete',
+    total_enqueued: enqueuedCount,
+    queue_stats: finalStats,
+    step: 'backfill_complete'
+  }));
+}
+
 async function main() {
   const { values } = parseArgs({
     options: {
@@ -40,6 +141,13 @@ async function main() {
         type: 'boolean',
         short: 'd'
       },
+      wait: {
+        type: 'boolean',
+        short: 'w'
+      },
+      'skip-if-locked': {
+        type: 'boolean'
+      },
       help: {
         type: 'boolean',
         short: 'h'
@@ -60,6 +168,9 @@ Options:
   -b, --batch-size N      Number of meetings to enqueue per batch (default: 10)
   -q, --max-queue N       Maximum queue depth before throttling (default: 100)
   -d, --dry-run           Show what would be processed without enqueuing
+  -w, --wait              Wait for a running discovery/backfill to finish
+      --skip-if-locked    Exit quietly if discovery/backfill is already running
+                          (default: fail when the lock is held)
   -h, --help              Show this help
 
 Examples:
@@ -77,7 +188,7 @@ Examples:
   }
   
   const fromDate = values.from;
-  const toDate = values.to || new Date().toISOString().split('T')[0];
+  const toDate = values.to || todayIn();
   const batchSize = values['batch-size'] ? parseInt(values['batch-size']) : 10;
   const maxQueueDepth = values['max-queue'] ? parseInt(values['max-queue']) : 100;
   const dryRun = values['dry-run'];
@@ -96,95 +207,14 @@ Examples:
   const queue = createQueue(QUEUE_NAMES.DOWNLOAD);
   
   try {
-    // First, run discovery for the date range
-    console.log(JSON.stringify({
-      message: 'Running discovery',
-      step: 'backfill_discovery'
-    }));
-    
-    if (!dryRun) {
-      await runDiscovery({ 
-        startDate: fromDate, 
-        endDate: toDate
-      });
-    }
-    
-    // Get all DISCOVERED meetings
-    const discoveredMeetings = await getMeetingsByState(db, MeetingStates.DISCOVERED);
-    console.log(JSON.stringify({
-      message: 'Found meetings to process',
-      count: discoveredMeetings.length,
-      step: 'backfill_queue'
-    }));
+    const options = { fromDate, toDate, batchSize, maxQueueDepth, dryRun };
     
     if (dryRun) {
-      console.log(JSON.stringify({
-        message: 'Dry run - would enqueue meetings',
-        meeting_ids: discoveredMeetings.map(m => m.id),
-        step: 'backfill_dry_run'
-      }));
-      return;
+      // Read-only, so no need to wait for a running discovery
+      await backfill(db, queue, options);
+    } else {
+      await withLock(DISCOVERY_LOCK, (lease) => backfill(db, queue, options, lease), lockOptionsFromFlags(values));
     }
-    
-    // Process in batches
-    let enqueuedCount = 0;
-    for (let i = 0; i < discoveredMeetings.length; i += batchSize) {
-      // Check queue depth
-      const stats = await getQueueStats(queue);
-      const currentDepth = stats.waiting + stats.active;
-      
-      if (currentDepth >= maxQueueDepth) {
-        console.log(JSON.stringify({
-          message: 'Queue depth limit reached, waiting',
-          current_depth: currentDepth,
-          max_depth: maxQueueDepth,
-          step: 'backfill_throttle'
-        }));
-        
-        // Wait for queue to drain
-        while (true) {
-          await new Promise(resolve => setTimeout(resolve, 5000));
-          const newStats = await getQueueStats(queue);
-          const newDepth = newStats.waiting + newStats.active;
-          
-          if (newDepth < maxQueueDepth * 0.8) {
-            console.log(JSON.stringify({
-              message: 'Queue drained, resuming',
-              current_depth: newDepth,
-              step: 'backfill_resume'
-            }));
-            break;
-          }
-        }
-      }
-      
-      // Enqueue batch
-      const batch = discoveredMeetings.slice(i, i + batchSize);
-      
-      for (const meeting of batch) {
-        await queue.add('process', { meetingId: meeting.id }, {
-          jobId: `download-${meeting.id}`,
-        });
-        enqueuedCount++;
-      }
-      
-      console.log(JSON.stringify({
-        message: 'Enqueued batch',
-        batch_start: i,
-        batch_size: batch.length,
-        total_enqueued: enqueuedCount,
-        step: 'backfill_batch'
-      }));
-    }
-    
-    const finalStats = await getQueueStats(queue);
-    console.log(JSON.stringify({
-      message: 'Backfill complete',
-      total_enqueued: enqueuedCount,
-      queue_stats: finalStats,
-      step: 'backfill_complete'
-    }));
-    
   } catch (error) {
     console.error(JSON.stringify({
       message: 'Backfill error',
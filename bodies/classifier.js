@@ -0,0 +1,49 @@
+import { BODIES, SPECIAL_PATTERN } from './config.js';
+import { DEFAULT_SOURCE_ID } from '../sources/config.js';
+
+const bodiesById = new Map(BODIES.map(body => [body.id, body]));
+
+// "Special City Commission Meeting" -> "City Commission Meeting"
+function stripSpecial(title) {
+  return title
+    .replace(new RegExp(`^${SPECIAL_PATTERN.source}\\s*`, 'i'), '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Work out which governing body a meeting belongs to
+ * @param {Object} meeting - Meeting with `title` and optional `source`
+ * @returns {{bodyId: string|null, isSpecial: boolean}} - bodyId is null when no rule matched
+ */
+export function classifyMeeting(meeting) {
+  const source = meeting.source || DEFAULT_SOURCE_ID;
+  const title = (meeting.title || '').trim();
+  const isSpecial = SPECIAL_PATTERN.test(title);
+  const candidates = isSpecial ? [title, stripSpecial(title)] : [title];
+
+  for (const body of BODIES) {
+    if (body.sources && !body.sources.includes(source)) continue;
+
+    if (body.match.some(pattern => candidates.some(candidate => pattern.test(candidate)))) {
+      return { bodyId: body.id, isSpecial };
+    }
+  }
+
+  return { bodyId: null, isSpecial };
+}
+
+export function getBody(bodyId) {
+  return bodiesById.get(bodyId) || null;
+}
+
+/**
+ * YouTube playlist IDs for a body, from its configured environment variable
+ * @param {string} bodyId - Body ID
+ * @returns {string[]}
+ */
+export function playlistIdsForBody(bodyId) {
+  const body = getBody(bodyId);
+  const playlistId = body?.playlistEnv ? process.env[body.playlistEnv] : null;
+  return playlistId && playlistId.trim() !== '' ? [playlistId.trim()] : [];
+}
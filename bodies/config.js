@@ -0,0 +1,44 @@
+/**
+ * Governing bodies meetings are classified into.
+ *
+ * A meeting belongs to the first body whose `match` patterns hit its title,
+ * after "Special"/"Special Called" wording has been set aside (see
+ * bodies/classifier.js). `sources` limits a rule to some meeting sources;
+ * leave it out to match every source. `playlistEnv` names the environment
+ * variable holding the body's YouTube playlist ID.
+ * The id is stored on every meeting row, so never rename an existing one.
+ */
+export const BODIES = [
+  {
+    id: 'city-commission',
+    name: 'City Commission',
+    match: [/^City Commission\b/i],
+    sources: ['gainesville'],
+    playlistEnv: 'PLAYLIST_CITY_COMMISSION'
+  },
+  {
+    id: 'general-policy-committee',
+    name: 'General Policy Committee',
+    match: [/^General Policy Committee\b/i],
+    sources: ['gainesville'],
+    playlistEnv: 'PLAYLIST_GENERAL_POLICY'
+  },
+  {
+    id: 'city-plan-board',
+    name: 'City Plan Board',
+    match: [/^City Plan Board\b/i],
+    sources: ['gainesville'],
+    playlistEnv: 'PLAYLIST_CITY_PLAN_BOARD'
+  },
+  {
+    id: 'utility-advisory-board',
+    name: 'Utility Advisory Board',
+    match: [/^Utility Advisory Board\b/i],
+    sources: ['gainesville'],
+    playlistEnv: 'PLAYLIST_UTILITY_ADVISORY_BOARD'
+  }
+];
+
+// Title wording that marks a special meeting of a body, e.g.
+// "Special City Commission Meeting" or "City Commission - Special Meeting"
+export const SPECIAL_PATTERN = /\bspecial(\s+called)?\b/i;
@@ -2,6 +2,7 @@
 import { parseArgs } from 'util';
 import { initializeDatabase, getMeetingsByState, updateMeetingState, MeetingStates } from './db/init.js';
 import { pathFor, StorageTypes, exists } from './storage/paths.js';
+import { daysSince } from './lib/dates.js';
 import fs from 'fs/promises';
 import 'dotenv/config';
 
@@ -30,10 +31,7 @@ async function cleanupOldFiles() {
     for (const meeting of diarizedMeetings) {
       try {
         // Check if meeting is old enough to clean
-        const meetingDate = new Date(meeting.date);
-        const daysSince = (Date.now() - meetingDate.getTime()) / (1000 * 60 * 60 * 24);
-        
-        if (daysSince < CLEANUP_AFTER_DAYS) {
+        if (daysSince(meeting.date) < CLEANUP_AFTER_DAYS) {
           skippedCount++;
           continue;
         }
@@ -41,13 +39,20 @@ async function cleanupOldFiles() {
         // List of files to potentially clean up
         const filesToCheck = [
           { type: StorageTypes.RAW_VIDEO, path: pathFor(StorageTypes.RAW_VIDEO, meeting.id) },
+          { type: StorageTypes.DERIVED_VIDEO_CHAPTERED, path: pathFor(StorageTypes.DERIVED_VIDEO_CHAPTERED, meeting.id) },
+          { type: StorageTypes.DERIVED_VIDEO_TRIMMED, path: pathFor(StorageTypes.DERIVED_VIDEO_TRIMMED, meeting.id) },
+          ...Array.from({ length: meeting.video_part_count > 1 ? meeting.video_part_count : 0 }, (_, index) => ({
+            type: StorageTypes.RAW_VIDEO_PART,
+            options: { part: index + 1 },
+            path: pathFor(StorageTypes.RAW_VIDEO_PART, meeting.id, { part: index + 1 })
+          })),
           // Keep derived files - they're smaller and useful for reference
           // { type: StorageTypes.DERIVED_CHAPTERS, path: pathFor(StorageTypes.DERIVED_CHAPTERS, meeting.id) },
           // { type: StorageTypes.DERIVED_METADATA, path: pathFor(StorageTypes.DERIVED_METADATA, meeting.id) },
         ];
         
         for (const file of filesToCheck) {
-          if (await exists(file.type, meeting.id)) {
+          if (await exists(file.type, meeting.id, file.options)) {
             if (DRY_RUN) {
               console.log(JSON.stringify({
                 message: 'Would delete file',
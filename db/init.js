@@ -2,6 +2,9 @@ import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { SOURCES, DEFAULT_SOURCE_ID } from '../sources/config.js';
+import { BODIES } from '../bodies/config.js';
+import { normalizeMeetingDate, DEFAULT_TIMEZONE } from '../lib/dates.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -14,6 +17,7 @@ export async function initializeDatabase() {
   await db.exec(`
     CREATE TABLE IF NOT EXISTS meetings (
       id TEXT PRIMARY KEY,
+      source TEXT NOT NULL DEFAULT 'gainesville',
       state TEXT NOT NULL DEFAULT 'DISCOVERED',
       title TEXT NOT NULL,
       date TEXT NOT NULL,
@@ -23,20 +27,228 @@ export async function initializeDatabase() {
       agenda_data TEXT,
       chapters_text TEXT,
       youtube_url TEXT,
+      youtube_video_id TEXT,
+      body_id TEXT,
+      is_special BOOLEAN DEFAULT 0,
+      cancel_type TEXT,
+      cancel_reason TEXT,
+      cancelled_at TEXT,
+      replaced_by TEXT,
+      audio_status TEXT,
+      audio_error TEXT,
+      audio_loudness TEXT,
+      media_probe TEXT,
+      download_attempts INTEGER DEFAULT 0,
+      last_download_attempt_at TEXT,
+      last_download_error TEXT,
+      download_deferred_since TEXT,
+      download_deferrals INTEGER DEFAULT 0,
+      next_download_at TEXT,
+      dead_air TEXT,
+      trim_start_seconds REAL,
+      youtube_trimmed BOOLEAN DEFAULT 0,
+      video_part_count INTEGER,
+      video_parts_joined BOOLEAN DEFAULT 0,
+      youtube_series BOOLEAN DEFAULT 0,
+      content_hash TEXT,
+      alias_of TEXT,
+      youtube_upload_session TEXT,
+      youtube_upload_intent TEXT,
       error TEXT,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       updated_at TEXT DEFAULT CURRENT_TIMESTAMP
     )
   `);
 
+  // Columns added after the initial schema, for databases created before them
+  await addMissingColumns(db, 'meetings', {
+    youtube_video_id: 'TEXT',
+    source: "TEXT NOT NULL DEFAULT 'gainesville'",
+    body_id: 'TEXT',
+    is_special: 'BOOLEAN DEFAULT 0',
+    cancel_type: 'TEXT',
+    cancel_reason: 'TEXT',
+    cancelled_at: 'TEXT',
+    replaced_by: 'TEXT',
+    audio_status: 'TEXT',
+    audio_error: 'TEXT',
+    audio_loudness: 'TEXT',
+    media_probe: 'TEXT',
+    download_attempts: 'INTEGER DEFAULT 0',
+    last_download_attempt_at: 'TEXT',
+    last_download_error: 'TEXT',
+    download_deferred_since: 'TEXT',
+    download_deferrals: 'INTEGER DEFAULT 0',
+    next_download_at: 'TEXT',
+    dead_air: 'TEXT',
+    trim_start_seconds: 'REAL',
+    youtube_trimmed: 'BOOLEAN DEFAULT 0',
+    video_part_count: 'INTEGER',
+    video_parts_joined: 'BOOLEAN DEFAULT 0',
+    youtube_series: 'BOOLEAN DEFAULT 0',
+    content_hash: 'TEXT',
+    alias_of: 'TEXT',
+    youtube_upload_session: 'TEXT',
+    youtube_upload_intent: 'TEXT'
+  });
+
+  await migrateLegacyDates(db);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS meeting_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      meeting_id TEXT NOT NULL,
+      field TEXT NOT NULL,
+      old_value TEXT,
+      new_value TEXT,
+      detected_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS discovery_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL,
+      status TEXT NOT NULL,
+      window_start TEXT NOT NULL,
+      window_end TEXT NOT NULL,
+      found_count INTEGER NOT NULL DEFAULT 0,
+      new_count INTEGER NOT NULL DEFAULT 0,
+      existing_count INTEGER NOT NULL DEFAULT 0,
+      changed_count INTEGER NOT NULL DEFAULT 0,
+      enqueued_count INTEGER NOT NULL DEFAULT 0,
+      started_at TEXT NOT NULL,
+      finished_at TEXT NOT NULL,
+      duration_ms INTEGER NOT NULL,
+      errors TEXT,
+      anomalies TEXT
+    )
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS bodies (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      sources TEXT,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await syncBodies(db);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      meeting_id TEXT NOT NULL,
+      agenda_item_id INTEGER NOT NULL,
+      document_id TEXT,
+      title TEXT,
+      url TEXT NOT NULL,
+      content_type TEXT,
+      file_path TEXT,
+      text_path TEXT,
+      page_count INTEGER,
+      size_bytes INTEGER,
+      sha256 TEXT,
+      text_chars INTEGER,
+      status TEXT NOT NULL,
+      error TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (meeting_id, agenda_item_id, url)
+    )
+  `);
+
+  // Recordings published as several files (e.g. before and after a recess),
+  // in order; offset_seconds places each part on the meeting's timeline
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS video_parts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      meeting_id TEXT NOT NULL,
+      part_index INTEGER NOT NULL,
+      url TEXT,
+      file_path TEXT,
+      duration_seconds REAL,
+      offset_seconds REAL,
+      size_bytes INTEGER,
+      youtube_video_id TEXT,
+      youtube_url TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (meeting_id, part_index)
+    )
+  `);
+
+  // Full-text index over document titles and extracted text; rowid = documents.id
+  await db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS documents_fts USING fts5(title, body)
+  `);
+
   await db.exec(`
     CREATE INDEX IF NOT EXISTS idx_meetings_state ON meetings(state);
+    CREATE INDEX IF NOT EXISTS idx_meetings_body ON meetings(body_id);
     CREATE INDEX IF NOT EXISTS idx_meetings_date ON meetings(date);
+    CREATE INDEX IF NOT EXISTS idx_meetings_content_hash ON meetings(content_hash);
+    CREATE INDEX IF NOT EXISTS idx_meeting_changes_meeting ON meeting_changes(meeting_id);
+    CREATE INDEX IF NOT EXISTS idx_discovery_runs_source ON discovery_runs(source, started_at);
+    CREATE INDEX IF NOT EXISTS idx_documents_meeting ON documents(meeting_id);
+    CREATE INDEX IF NOT EXISTS idx_documents_sha256 ON documents(sha256);
+    CREATE INDEX IF NOT EXISTS idx_video_parts_meeting ON video_parts(meeting_id);
   `);
 
   return db;
 }
 
+async function addMissingColumns(db, table, columns) {
+  const existing = await db.all(`PRAGMA table_info(${table})`);
+  const names = new Set(existing.map(column => column.name));
+  
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!names.has(name)) {
+      await db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+    }
+  }
+}
+
+/**
+ * Mirror bodies/config.js into the bodies table so SQL can join on it.
+ * Bodies removed from the config are kept, since meetings may still reference them.
+ */
+async function syncBodies(db) {
+  for (const body of BODIES) {
+    await db.run(`
+      INSERT INTO bodies (id, name, sources) VALUES (?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET 
+        name = excluded.name, 
+        sources = excluded.sources, 
+        updated_at = CURRENT_TIMESTAMP
+      WHERE name != excluded.name OR IFNULL(sources, '') != IFNULL(excluded.sources, '')
+    `, body.id, body.name, body.sources ? body.sources.join(',') : null);
+  }
+}
+
+/**
+ * Rewrite eScribe's raw "YYYY/MM/DD HH:MM:SS" dates as ISO-8601 with offset.
+ * Only touches rows still in the legacy format, so it is safe to run on every start.
+ */
+async function migrateLegacyDates(db) {
+  const rows = await db.all(`SELECT id, source, date FROM meetings WHERE date LIKE '____/__/__%'`);
+  if (rows.length === 0) return;
+  
+  const timezones = new Map(SOURCES.map(source => [source.id, source.timezone]));
+  
+  for (const row of rows) {
+    const timeZone = timezones.get(row.source || DEFAULT_SOURCE_ID) || DEFAULT_TIMEZONE;
+    await db.run('UPDATE meetings SET date = ? WHERE id = ?', normalizeMeetingDate(row.date, timeZone), row.id);
+  }
+  
+  console.log(JSON.stringify({
+    message: 'Migrated legacy meeting dates to ISO-8601',
+    count: rows.length,
+    step: 'db_migration'
+  }));
+}
+
 export async function getMeeting(db, meetingId) {
   return await db.get('SELECT * FROM meetings WHERE id = ?', meetingId);
 }
@@ -45,6 +257,57 @@ export async function getMeetingsByState(db, state) {
   return await db.all('SELECT * FROM meetings WHERE state = ?', state);
 }
 
+export async function getMeetingsByStates(db, states) {
+  const placeholders = states.map(() => '?').join(', ');
+  return await db.all(`
+    SELECT * FROM meetings 
+    WHERE state IN (${placeholders}) 
+    ORDER BY date ASC
+  `, ...states);
+}
+
+/**
+ * List meetings matching every given filter, newest first
+ * @param {Object} db - Database handle
+ * @param {Object} filters
+ * @param {string} [filters.state] - Meeting state
+ * @param {string} [filters.body] - Body ID, or "none" for unclassified meetings
+ * @param {string} [filters.source] - Source ID
+ * @param {string} [filters.content_hash] - Hash of the downloaded video
+ */
+export async function getMeetings(db, { state, body, source, content_hash } = {}) {
+  const where = [];
+  const values = [];
+  
+  if (state) {
+    where.push('state = ?');
+    values.push(state);
+  }
+  
+  if (body === 'none') {
+    where.push('body_id IS NULL');
+  } else if (body) {
+    where.push('body_id = ?');
+    values.push(body);
+  }
+  
+  if (source) {
+    where.push('source = ?');
+    values.push(source);
+  }
+  
+  if (content_hash) {
+    where.push('content_hash = ?');
+    values.push(content_hash);
+  }
+  
+  return await db.all(`
+    SELECT * FROM meetings 
+    ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY date DESC
+  `, ...values);
+}
+
 export async function getMeetingsToProcess(db) {
   return await db.all(`
     SELECT * FROM meetings 
@@ -54,12 +317,28 @@ export async function getMeetingsToProcess(db) {
 }
 
 export async function insertMeeting(db, meeting) {
-  const { id, title, date, meeting_url, has_video } = meeting;
+  const { 
+    id, 
+    title, 
+    date, 
+    meeting_url, 
+    has_video, 
+    state = 'DISCOVERED', 
+    source = 'gainesville',
+    body_id = null,
+    is_special = false,
+    cancel_type = null,
+    cancel_reason = null
+  } = meeting;
   
   const result = await db.run(`
-    INSERT OR IGNORE INTO meetings (id, title, date, meeting_url, has_video)
-    VALUES (?, ?, ?, ?, ?)
-  `, id, title, date, meeting_url, has_video ? 1 : 0);
+    INSERT OR IGNORE INTO meetings (
+      id, source, state, title, date, meeting_url, has_video, body_id, is_special,
+      cancel_type, cancel_reason, cancelled_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, id, source, state, title, date, meeting_url, has_video ? 1 : 0, body_id, is_special ? 1 : 0,
+    cancel_type, cancel_reason, cancel_type ? new Date().toISOString() : null);
   
   return result;
 }
@@ -88,6 +367,11 @@ export async function updateMeetingState(db, meetingId, state, additionalData =
     values.push(additionalData.youtube_url);
   }
   
+  if (additionalData.youtube_video_id) {
+    updates.push('youtube_video_id = ?');
+    values.push(additionalData.youtube_video_id);
+  }
+  
   if (additionalData.error) {
     updates.push('error = ?');
     values.push(additionalData.error);
@@ -101,13 +385,333 @@ export async function updateMeetingState(db, meetingId, state, additionalData =
   return result;
 }
 
+/**
+ * Update meeting columns without touching its state
+ * @param {Object} db - Database handle
+ * @param {string} meetingId - Meeting ID
+ * @param {Object} fields - Column name to new value
+ */
+export async function updateMeetingFields(db, meetingId, fields) {
+  const entries = Object.entries(fields);
+  if (entries.length === 0) return { changes: 0 };
+  
+  const updates = entries.map(([key]) => `${key} = ?`);
+  updates.push('updated_at = CURRENT_TIMESTAMP');
+  const values = entries.map(([, value]) => value);
+  values.push(meetingId);
+  
+  const sql = `UPDATE meetings SET ${updates.join(', ')} WHERE id = ?`;
+  return await db.run(sql, ...values);
+}
+
+/**
+ * Append field-level changes to a meeting's change history
+ * @param {Object} db - Database handle
+ * @param {string} meetingId - Meeting ID
+ * @param {Array<{field: string, oldValue: *, newValue: *}>} changes
+ */
+export async function recordMeetingChanges(db, meetingId, changes) {
+  for (const change of changes) {
+    await db.run(`
+      INSERT INTO meeting_changes (meeting_id, field, old_value, new_value)
+      VALUES (?, ?, ?, ?)
+    `, meetingId, change.field, stringifyValue(change.oldValue), stringifyValue(change.newValue));
+  }
+}
+
+export async function getMeetingChanges(db, meetingId) {
+  return await db.all(`
+    SELECT * FROM meeting_changes 
+    WHERE meeting_id = ? 
+    ORDER BY id ASC
+  `, meetingId);
+}
+
+/**
+ * Meetings from a source dated after `after` and up to `until`, earliest first
+ */
+export async function getMeetingsBetween(db, source, after, until) {
+  return await db.all(`
+    SELECT * FROM meetings 
+    WHERE source = ? AND date > ? AND date <= ? 
+    ORDER BY date ASC
+  `, source, after, until);
+}
+
+/**
+ * Postponed meetings from a source not yet linked to their replacement
+ */
+export async function getUnlinkedPostponedMeetings(db, source) {
+  return await db.all(`
+    SELECT * FROM meetings 
+    WHERE source = ? AND state = 'CANCELLED' AND cancel_type = 'postponed' AND replaced_by IS NULL 
+    ORDER BY date ASC
+  `, source);
+}
+
+/**
+ * Count stored meetings from a source dated inside a window
+ */
+export async function countMeetingsInWindow(db, source, start, end) {
+  const row = await db.get(`
+    SELECT COUNT(*) AS count FROM meetings 
+    WHERE source = ? AND date >= ? AND date < ?
+  `, source, start, end);
+  return row.count;
+}
+
+/**
+ * Record one discovery run for one source
+ * @param {Object} db - Database handle
+ * @param {Object} run - discovery_runs columns; errors and anomalies are arrays
+ */
+export async function insertDiscoveryRun(db, run) {
+  const result = await db.run(`
+    INSERT INTO discovery_runs (
+      source, status, window_start, window_end,
+      found_count, new_count, existing_count, changed_count, enqueued_count,
+      started_at, finished_at, duration_ms, errors, anomalies
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `,
+    run.source, run.status, run.window_start, run.window_end,
+    run.found_count, run.new_count, run.existing_count, run.changed_count, run.enqueued_count,
+    run.started_at, run.finished_at, run.duration_ms,
+    JSON.stringify(run.errors || []), JSON.stringify(run.anomalies || [])
+  );
+  return result.lastID;
+}
+
+function parseDiscoveryRun(row) {
+  if (!row) return row;
+  return {
+    ...row,
+    errors: JSON.parse(row.errors || '[]'),
+    anomalies: JSON.parse(row.anomalies || '[]')
+  };
+}
+
+/**
+ * List discovery runs, newest first
+ * @param {Object} db - Database handle
+ * @param {Object} filters
+ * @param {string} [filters.source] - Only runs for this source
+ * @param {boolean} [filters.anomaliesOnly] - Only runs that flagged an anomaly
+ * @param {number} [filters.limit] - Maximum rows (default 50)
+ */
+export async function getDiscoveryRuns(db, { source, anomaliesOnly = false, limit = 50 } = {}) {
+  const where = [];
+  const values = [];
+  
+  if (source) {
+    where.push('source = ?');
+    values.push(source);
+  }
+  
+  if (anomaliesOnly) {
+    where.push("anomalies IS NOT NULL AND anomalies != '[]'");
+  }
+  
+  const rows = await db.all(`
+    SELECT * FROM discovery_runs 
+    ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY started_at DESC, id DESC 
+    LIMIT ?
+  `, ...values, limit);
+  
+  return rows.map(parseDiscoveryRun);
+}
+
+export async function getDiscoveryRun(db, runId) {
+  return parseDiscoveryRun(await db.get('SELECT * FROM discovery_runs WHERE id = ?', runId));
+}
+
+/**
+ * Bodies with how many meetings each has
+ */
+export async function getBodies(db) {
+  return await db.all(`
+    SELECT bodies.*, COUNT(meetings.id) AS meeting_count 
+    FROM bodies 
+    LEFT JOIN meetings ON meetings.body_id = bodies.id 
+    GROUP BY bodies.id 
+    ORDER BY bodies.name
+  `);
+}
+
+/**
+ * Titles no body rule matched, most frequent first, for extending bodies/config.js
+ */
+export async function getUnmatchedTitles(db, { source } = {}) {
+  return await db.all(`
+    SELECT title, source, COUNT(*) AS meeting_count, MAX(date) AS latest_date 
+    FROM meetings 
+    WHERE body_id IS NULL ${source ? 'AND source = ?' : ''}
+    GROUP BY title, source 
+    ORDER BY meeting_count DESC, title
+  `, ...(source ? [source] : []));
+}
+
+/**
+ * Insert or update an agenda attachment, and index its text for search
+ * @param {Object} db - Database handle
+ * @param {string} meetingId - Meeting ID
+ * @param {Object} document - documents columns, plus the extracted `text`
+ * @returns {Promise<number>} - Document row ID
+ */
+export async function upsertDocument(db, meetingId, document) {
+  const { text = null } = document;
+  
+  await db.run(`
+    INSERT INTO documents (
+      meeting_id, agenda_item_id, document_id, title, url, content_type,
+      file_path, text_path, page_count, size_bytes, sha256, text_chars, status, error
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (meeting_id, agenda_item_id, url) DO UPDATE SET
+      document_id = excluded.document_id,
+      title = COALESCE(excluded.title, title),
+      content_type = COALESCE(excluded.content_type, content_type),
+      file_path = COALESCE(excluded.file_path, file_path),
+      text_path = COALESCE(excluded.text_path, text_path),
+      page_count = COALESCE(excluded.page_count, page_count),
+      size_bytes = COALESCE(excluded.size_bytes, size_bytes),
+      sha256 = COALESCE(excluded.sha256, sha256),
+      text_chars = COALESCE(excluded.text_chars, text_chars),
+      status = excluded.status,
+      error = excluded.error,
+      updated_at = CURRENT_TIMESTAMP
+  `,
+    meetingId, document.agenda_item_id, stringifyValue(document.document_id), document.title, document.url,
+    document.content_type, document.file_path, document.text_path, document.page_count,
+    document.size_bytes, document.sha256, text === null ? null : text.length,
+    document.status, document.error
+  );
+  
+  const row = await db.get(`
+    SELECT id, title FROM documents 
+    WHERE meeting_id = ? AND agenda_item_id = ? AND url = ?
+  `, meetingId, document.agenda_item_id, document.url);
+  
+  if (text !== null) {
+    await db.run('DELETE FROM documents_fts WHERE rowid = ?', row.id);
+    await db.run('INSERT INTO documents_fts (rowid, title, body) VALUES (?, ?, ?)', row.id, row.title, text);
+  }
+  
+  return row.id;
+}
+
+export async function getMeetingDocuments(db, meetingId) {
+  return await db.all(`
+    SELECT * FROM documents 
+    WHERE meeting_id = ? 
+    ORDER BY agenda_item_id, id
+  `, meetingId);
+}
+
+/**
+ * Full-text search over agenda attachments
+ * @param {Object} db - Database handle
+ * @param {string} query - Words to find; each is matched as a term, all must appear
+ * @param {Object} options
+ * @param {number} [options.limit] - Maximum results (default 20)
+ */
+export async function searchDocuments(db, query, { limit = 20 } = {}) {
+  // Quote every word so user input cannot break FTS5 query syntax
+  const match = query.trim().split(/\s+/).filter(Boolean)
+    .map(word => `"${word.replace(/"/g, '""')}"`)
+    .join(' ');
+  if (!match) return [];
+  
+  return await db.all(`
+    SELECT documents.*, 
+      meetings.title AS meeting_title, 
+      meetings.date AS meeting_date,
+      snippet(documents_fts, 1, '[', ']', '...', 16) AS snippet
+    FROM documents_fts 
+    JOIN documents ON documents.id = documents_fts.rowid 
+    JOIN meetings ON meetings.id = documents.meeting_id 
+    WHERE documents_fts MATCH ? 
+    ORDER BY rank 
+    LIMIT ?
+  `, match, limit);
+}
+
+function stringifyValue(value) {
+  if (value === null || value === undefined) return null;
+  return String(value);
+}
+
+/**
+ * Record the parts of a multi-part recording, replacing any earlier list.
+ * YouTube ids already stored for a part are kept, so a re-download does not
+ * forget what was published.
+ * @param {Object} db - Database handle
+ * @param {string} meetingId - Meeting ID
+ * @param {Array} parts - video_parts columns, with part_index from 1
+ */
+export async function saveVideoParts(db, meetingId, parts) {
+  for (const part of parts) {
+    await db.run(`
+      INSERT INTO video_parts (
+        meeting_id, part_index, url, file_path, duration_seconds, offset_seconds, size_bytes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (meeting_id, part_index) DO UPDATE SET
+        url = excluded.url,
+        file_path = excluded.file_path,
+        duration_seconds = excluded.duration_seconds,
+        offset_seconds = excluded.offset_seconds,
+        size_bytes = excluded.size_bytes,
+        updated_at = CURRENT_TIMESTAMP
+    `,
+      meetingId, part.part_index, part.url, part.file_path,
+      part.duration_seconds, part.offset_seconds, part.size_bytes
+    );
+  }
+  
+  await db.run('DELETE FROM video_parts WHERE meeting_id = ? AND part_index > ?', meetingId, parts.length);
+}
+
+export async function getVideoParts(db, meetingId) {
+  return await db.all(`
+    SELECT * FROM video_parts 
+    WHERE meeting_id = ? 
+    ORDER BY part_index
+  `, meetingId);
+}
+
+/**
+ * Update one part, e.g. with its YouTube video once published
+ */
+export async function updateVideoPart(db, meetingId, partIndex, fields) {
+  const allowed = ['youtube_video_id', 'youtube_url', 'file_path', 'size_bytes'];
+  const entries = Object.entries(fields).filter(([key]) => allowed.includes(key));
+  if (entries.length === 0) return { changes: 0 };
+  
+  return await db.run(`
+    UPDATE video_parts 
+    SET ${entries.map(([key]) => `${key} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE meeting_id = ? AND part_index = ?
+  `, ...entries.map(([, value]) => value), meetingId, partIndex);
+}
+
 export const MeetingStates = {
+  SCHEDULED: 'SCHEDULED',
+  AWAITING_VIDEO: 'AWAITING_VIDEO',
+  VIDEO_NEVER_POSTED: 'VIDEO_NEVER_POSTED',
   DISCOVERED: 'DISCOVERED',
+  DOWNLOAD_DEFERRED: 'DOWNLOAD_DEFERRED',
   DOWNLOADING: 'DOWNLOADING',
   PROCESSING: 'PROCESSING',
   UPLOADING: 'UPLOADING',
   UPLOADED: 'UPLOADED',
   DIARIZING: 'DIARIZING',
   DIARIZED: 'DIARIZED',
+  AUDIO_UNAVAILABLE: 'AUDIO_UNAVAILABLE',
+  CANCELLED: 'CANCELLED',
   FAILED: 'FAILED'
+};
+
+// Whether the extract step produced audio for diarization (meetings.audio_status)
+export const AudioStatus = {
+  AVAILABLE: 'available',
+  UNAVAILABLE: 'unavailable'
 };
\ No newline at end of file
@@ -1,143 +1,592 @@
 #!/usr/bin/env node
 import { parseArgs } from 'util';
-import { initializeDatabase, insertMeeting, getMeeting } from './db/init.js';
+import { 
+  initializeDatabase, 
+  insertMeeting, 
+  getMeeting, 
+  getMeetingsByStates,
+  updateMeetingState,
+  updateMeetingFields, 
+  recordMeetingChanges,
+  countMeetingsInWindow,
+  insertDiscoveryRun,
+  getDiscoveryRuns,
+  getMeetingsBetween,
+  getUnlinkedPostponedMeetings,
+  MeetingStates
+} from './db/init.js';
 import { createQueue } from './queue/config.js';
+import { withLock, lockOptionsFromFlags, assertLeaseHeld, DISCOVERY_LOCK } from './queue/lock.js';
 import { QUEUE_NAMES } from './workflow/config.js';
+import { diffMeeting, planFollowUps, changesToFields, FollowUps } from './discovery/changes.js';
+import { 
+  initialState, 
+  nextPreVideoState, 
+  windowFor, 
+  PENDING_VIDEO_STATES, 
+  VIDEO_GRACE_DAYS 
+} from './discovery/lifecycle.js';
+import { detectAnomalies } from './discovery/anomalies.js';
+import { classifyMeeting } from './bodies/classifier.js';
+import { 
+  detectCancellation, 
+  pickReplacement, 
+  replacementWindowEnd, 
+  CANCELLABLE_STATES 
+} from './discovery/cancellation.js';
+import { getSources } from './sources/index.js';
+import { monthRange, startOfDay } from './lib/dates.js';
 import 'dotenv/config';
 
-const BASE_URL = 'https://pub-cityofgainesville.escribemeetings.com';
-const API_URL = `${BASE_URL}/MeetingsCalendarView.aspx/GetCalendarMeetings`;
-
-function getDateRange(startDate, endDate) {
-  if (startDate && endDate) {
-    return {
-      start: startDate,
-      end: endDate
-    };
-  }
-
-  const now = new Date();
-  const start = new Date(now.getFullYear(), now.getMonth(), 1);
-  const end = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-
-  const toISOStringWithOffset = (date) =>
-    date.toISOString().replace('Z', '-04:00');
+/**
+ * Calendar window as local midnights in the source's timezone
+ * @param {string} startDate - First day (YYYY-MM-DD), defaults to start of current month
+ * @param {string} endDate - Last day, inclusive (YYYY-MM-DD), defaults to end of current month
+ * @param {string} timeZone - IANA timezone of the source
+ */
+function getDateRange(startDate, endDate, timeZone) {
+  const month = monthRange(new Date(), timeZone);
 
   return {
-    start: toISOStringWithOffset(start),
-    end: toISOStringWithOffset(end),
+    start: startDate ? startOfDay(startDate, timeZone) : month.start,
+    end: endDate ? startOfDay(endDate, timeZone, 1) : month.end
   };
 }
 
-async function fetchMeetingsWithVideo(startDate, endDate) {
-  const { start, end } = getDateRange(startDate, endDate);
+async function fetchMeetings(source, { start, end }) {
   console.log(JSON.stringify({ 
     message: 'Fetching meetings', 
+    source: source.id,
     start, 
     end,
     step: 'discovery'
   }));
 
-  const res = await fetch(API_URL, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      calendarStartDate: start,
-      calendarEndDate: end,
-    }),
+  const { meetings, warnings } = await source.listMeetings(start, end);
+
+  console.log(JSON.stringify({
+    message: 'Found meetings',
+    source: source.id,
+    count: meetings.length,
+    with_video: meetings.filter(meeting => meeting.has_video).length,
+    skipped: warnings.length,
+    step: 'discovery'
+  }));
+  
+  return { meetings, warnings };
+}
+
+async function enqueueDownload(queue, meetingId) {
+  await queue.add('process', { meetingId }, {
+    jobId: `download-${meetingId}`,
   });
+  console.log(JSON.stringify({
+    message: 'Enqueued meeting for download',
+    meeting_id: meetingId,
+    queue: QUEUE_NAMES.DOWNLOAD,
+    step: 'enqueue'
+  }));
+}
+
+async function syncExistingMeeting(db, queues, existing, meeting) {
+  const changes = diffMeeting(existing, meeting);
+  
+  if (changes.length === 0) {
+    return { changed: false, followUps: [] };
+  }
+  
+  await updateMeetingFields(db, meeting.id, changesToFields(changes));
+  await recordMeetingChanges(db, meeting.id, changes);
+  
+  console.log(JSON.stringify({
+    message: 'Meeting changed since last discovery',
+    meeting_id: meeting.id,
+    state: existing.state,
+    changes,
+    step: 'discovery_change'
+  }));
+  
+  const followUps = planFollowUps(existing, changes);
+  
+  for (const followUp of followUps) {
+    if (followUp === FollowUps.REEXTRACT) {
+      // Unique job id so repeated changes are not deduplicated against old jobs
+      const jobId = `reextract-${meeting.id}-${Date.now()}`;
+      await queues.extract.add('reextract', { meetingId: meeting.id }, { jobId });
+      
+      console.log(JSON.stringify({
+        message: 'Enqueued re-extraction for changed meeting',
+        meeting_id: meeting.id,
+        queue: QUEUE_NAMES.EXTRACT,
+        job_id: jobId,
+        step: 'enqueue'
+      }));
+    }
+  }
+  
+  return { changed: true, followUps };
+}
+
+/**
+ * Move a meeting through the pre-video lifecycle and enqueue its download
+ * once video appears
+ * @returns {Promise<string|null>} - The new state, or null if unchanged
+ */
+async function advancePreVideoState(db, queues, meeting, lifecycleOptions) {
+  const nextState = nextPreVideoState(meeting, lifecycleOptions);
+  if (!nextState) return null;
+  
+  await updateMeetingState(db, meeting.id, nextState);
+  
+  console.log(JSON.stringify({
+    message: nextState === MeetingStates.VIDEO_NEVER_POSTED 
+      ? 'Video never posted within grace window' 
+      : 'Meeting lifecycle state changed',
+    meeting_id: meeting.id,
+    title: meeting.title,
+    date: meeting.date,
+    from_state: meeting.state,
+    to_state: nextState,
+    step: 'discovery_lifecycle'
+  }));
+  
+  if (nextState === MeetingStates.DISCOVERED) {
+    await enqueueDownload(queues.download, meeting.id);
+  }
+  
+  return nextState;
+}
 
-  const data = await res.json();
-  const meetings = data.d;
-
-  const meetingsWithVideo = meetings
-    .filter((meeting) => meeting.HasVideo)
-    .map((meeting) => ({
-      id: meeting.ID,
-      title: meeting.MeetingName,
-      meeting_url: `${BASE_URL}/Meeting.aspx?Id=${meeting.ID}`,
-      date: meeting.StartDate,
-      has_video: true
+/**
+ * Classify a meeting's governing body, reporting titles no rule matches
+ * @returns {{body_id: string|null, is_special: boolean}}
+ */
+function classifyBody(meeting, stats) {
+  const { bodyId, isSpecial } = classifyMeeting(meeting);
+  
+  if (!bodyId) {
+    stats.unmatched++;
+    console.log(JSON.stringify({
+      message: 'No body rule matched meeting title',
+      meeting_id: meeting.id,
+      source: meeting.source,
+      title: meeting.title,
+      step: 'body_unmatched'
     }));
+  }
+  
+  return { body_id: bodyId, is_special: isSpecial };
+}
 
+/**
+ * Drop a meeting's queued download so a cancelled meeting is not processed
+ * @returns {Promise<boolean>} - false when the download is already running
+ */
+async function removePendingDownload(queue, meetingId) {
+  const job = await queue.getJob(`download-${meetingId}`);
+  if (!job) return true;
+  
+  if (await job.isActive()) {
+    return false;
+  }
+  
+  await job.remove();
   console.log(JSON.stringify({
-    message: 'Found meetings with video',
-    count: meetingsWithVideo.length,
-    step: 'discovery'
+    message: 'Removed queued download for cancelled meeting',
+    meeting_id: meetingId,
+    job_id: job.id,
+    step: 'discovery_cancel'
+  }));
+  return true;
+}
+
+/**
+ * Move a meeting to CANCELLED
+ * @returns {Promise<boolean>} - Whether the meeting was cancelled
+ */
+async function cancelMeeting(db, queues, existing, cancellation) {
+  if (existing.state === MeetingStates.DISCOVERED) {
+    const removed = await removePendingDownload(queues.download, existing.id);
+    if (!removed) {
+      // The next run sees the same calendar entry and tries again
+      console.log(JSON.stringify({
+        message: 'Meeting cancelled but its download is in progress, leaving it for now',
+        meeting_id: existing.id,
+        step: 'discovery_cancel'
+      }));
+      return false;
+    }
+  }
+  
+  await updateMeetingState(db, existing.id, MeetingStates.CANCELLED);
+  await updateMeetingFields(db, existing.id, {
+    cancel_type: cancellation.type,
+    cancel_reason: cancellation.reason,
+    cancelled_at: new Date().toISOString()
+  });
+  
+  console.log(JSON.stringify({
+    message: 'Meeting cancelled',
+    meeting_id: existing.id,
+    title: existing.title,
+    from_state: existing.state,
+    cancel_type: cancellation.type,
+    reason: cancellation.reason,
+    step: 'discovery_cancel'
   }));
+  return true;
+}
+
+/**
+ * Put a meeting back into the lifecycle when the calendar no longer shows it cancelled
+ */
+async function reinstateMeeting(db, queues, meeting, lifecycleOptions) {
+  const state = initialState(meeting, lifecycleOptions.now);
+  
+  await updateMeetingState(db, meeting.id, state);
+  await updateMeetingFields(db, meeting.id, {
+    cancel_type: null,
+    cancel_reason: null,
+    cancelled_at: null,
+    replaced_by: null
+  });
   
-  return meetingsWithVideo;
+  console.log(JSON.stringify({
+    message: 'Cancelled meeting reinstated',
+    meeting_id: meeting.id,
+    title: meeting.title,
+    to_state: state,
+    step: 'discovery_cancel'
+  }));
+  
+  if (state === MeetingStates.DISCOVERED) {
+    await enqueueDownload(queues.download, meeting.id);
+  }
+  return state;
 }
 
+/**
+ * Link postponed meetings to the later meeting that replaces them, once it
+ * has been discovered
+ */
+async function linkPostponedMeetings(db, source, stats) {
+  const postponed = await getUnlinkedPostponedMeetings(db, source.id);
+  
+  for (const meeting of postponed) {
+    const until = replacementWindowEnd(meeting, { timeZone: source.timezone });
+    const candidates = await getMeetingsBetween(db, source.id, meeting.date, until);
+    const replacement = pickReplacement(meeting, candidates);
+    if (!replacement) continue;
+    
+    await updateMeetingFields(db, meeting.id, { replaced_by: replacement.id });
+    stats.linked++;
+    
+    console.log(JSON.stringify({
+      message: 'Linked postponed meeting to its replacement',
+      meeting_id: meeting.id,
+      title: meeting.title,
+      date: meeting.date,
+      replaced_by: replacement.id,
+      replacement_title: replacement.title,
+      replacement_date: replacement.date,
+      step: 'discovery_cancel'
+    }));
+  }
+}
+
+async function processCalendarMeeting(db, queues, meeting, stats, lifecycleOptions, { repoll = false } = {}) {
+  const existing = await getMeeting(db, meeting.id);
+  const body = classifyBody(meeting, stats);
+  const cancellation = detectCancellation(meeting);
+  
+  if (!existing) {
+    const state = cancellation ? MeetingStates.CANCELLED : initialState(meeting, lifecycleOptions.now);
+    await insertMeeting(db, { 
+      ...meeting, 
+      ...body, 
+      state,
+      cancel_type: cancellation?.type,
+      cancel_reason: cancellation?.reason
+    });
+    if (cancellation) stats.cancelled++;
+    stats.new++;
+    console.log(JSON.stringify({
+      message: 'Inserted new meeting',
+      meeting_id: meeting.id,
+      title: meeting.title,
+      date: meeting.date,
+      body_id: body.body_id,
+      state,
+      step: 'discovery'
+    }));
+    
+    if (state === MeetingStates.DISCOVERED) {
+      // Enqueue for download (first step in workflow)
+      await enqueueDownload(queues.download, meeting.id);
+      stats.enqueued++;
+    }
+    return;
+  }
+  
+  // Re-polled meetings are outside the window, so they stay out of existing_count
+  if (repoll) {
+    stats.repolled++;
+  } else {
+    stats.existing++;
+  }
+  
+  const sync = await syncExistingMeeting(db, queues, existing, meeting);
+  if (sync.changed) {
+    stats.changed++;
+    stats.enqueued += sync.followUps.length;
+  }
+  
+  // Follows title changes, and fills in meetings discovered before bodies existed
+  if (existing.body_id !== body.body_id || Boolean(existing.is_special) !== body.is_special) {
+    await updateMeetingFields(db, meeting.id, { body_id: body.body_id, is_special: body.is_special ? 1 : 0 });
+  }
+  
+  if (cancellation && CANCELLABLE_STATES.includes(existing.state)) {
+    if (await cancelMeeting(db, queues, existing, cancellation)) {
+      stats.cancelled++;
+    }
+    return;
+  }
+  
+  if (existing.state === MeetingStates.CANCELLED) {
+    if (!cancellation) {
+      const state = await reinstateMeeting(db, queues, { ...existing, ...meeting }, lifecycleOptions);
+      if (state === MeetingStates.DISCOVERED) stats.enqueued++;
+    }
+    return;
+  }
+  
+  const newState = await advancePreVideoState(db, queues, { ...existing, ...meeting }, lifecycleOptions);
+  if (newState === MeetingStates.DISCOVERED) {
+    stats.promoted++;
+    stats.enqueued++;
+  } else if (newState === MeetingStates.VIDEO_NEVER_POSTED) {
+    stats.never_posted++;
+  }
+}
+
+/**
+ * Re-poll meetings still waiting for video that fell outside the requested window
+ */
+async function pollPendingMeetings(db, queues, source, seenIds, stats, lifecycleOptions, lease) {
+  const pending = (await getMeetingsByStates(db, PENDING_VIDEO_STATES))
+    .filter(meeting => meeting.source === source.id && !seenIds.has(meeting.id));
+  
+  if (pending.length === 0) return;
+  
+  const window = windowFor(pending);
+  console.log(JSON.stringify({
+    message: 'Re-polling meetings awaiting video',
+    source: source.id,
+    count: pending.length,
+    start: window.start,
+    end: window.end,
+    step: 'discovery_repoll'
+  }));
+  
+  const range = getDateRange(window.start, window.end, source.timezone);
+  const { meetings: calendar } = await fetchMeetings(source, range);
+  const calendarById = new Map(calendar.map(meeting => [meeting.id, meeting]));
+  
+  for (const meeting of pending) {
+    assertLeaseHeld(lease, 'before re-polling the next meeting');
+    const latest = calendarById.get(meeting.id);
+    
+    if (latest) {
+      await processCalendarMeeting(db, queues, latest, stats, lifecycleOptions, { repoll: true });
+    } else {
+      // No longer on the calendar; only the clock can move it along
+      await advancePreVideoState(db, queues, meeting, lifecycleOptions);
+    }
+  }
+}
+
+/**
+ * Discover one source and record the run in discovery_runs
+ * @returns {Promise<Object>} - The recorded run
+ */
+async function discoverSource(db, queues, source, { startDate, endDate, lifecycleOptions, lease }) {
+  const startedAt = new Date();
+  const range = getDateRange(startDate, endDate, source.timezone);
+  
+  const stats = {
+    new: 0,
+    existing: 0,
+    repolled: 0,
+    changed: 0,
+    promoted: 0,
+    never_posted: 0,
+    enqueued: 0,
+    unmatched: 0,
+    cancelled: 0,
+    linked: 0
+  };
+  const errors = [];
+  let found = 0;
+  let warnings = [];
+  
+  try {
+    const calendar = await fetchMeetings(source, range);
+    found = calendar.meetings.length;
+    warnings = calendar.warnings;
+    
+    for (const meeting of calendar.meetings) {
+      assertLeaseHeld(lease, 'before the next meeting');
+      await processCalendarMeeting(db, queues, meeting, stats, lifecycleOptions);
+    }
+    
+    const seenIds = new Set(calendar.meetings.map(meeting => meeting.id));
+    await pollPendingMeetings(db, queues, source, seenIds, stats, lifecycleOptions, lease);
+    assertLeaseHeld(lease, 'before linking postponed meetings');
+    await linkPostponedMeetings(db, source, stats);
+  } catch (error) {
+    console.error(JSON.stringify({
+      message: 'Discovery error',
+      source: source.id,
+      error: error.message,
+      stack: error.stack,
+      step: 'discovery'
+    }));
+    errors.push({ message: error.message, code: error.code || null });
+  }
+  
+  const finishedAt = new Date();
+  const run = {
+    source: source.id,
+    status: errors.length > 0 ? 'failed' : 'succeeded',
+    window_start: range.start,
+    window_end: range.end,
+    found_count: found,
+    new_count: stats.new,
+    existing_count: stats.existing,
+    changed_count: stats.changed,
+    enqueued_count: stats.enqueued,
+    started_at: startedAt.toISOString(),
+    finished_at: finishedAt.toISOString(),
+    duration_ms: finishedAt.getTime() - startedAt.getTime(),
+    errors
+  };
+  
+  run.anomalies = detectAnomalies(run, {
+    history: await getDiscoveryRuns(db, { source: source.id, limit: 50 }),
+    knownMeetings: await countMeetingsInWindow(db, source.id, range.start, range.end),
+    warnings,
+    now: finishedAt
+  });
+  
+  for (const anomaly of run.anomalies) {
+    console.error(JSON.stringify({
+      message: 'Discovery anomaly',
+      source: source.id,
+      anomaly_type: anomaly.type,
+      detail: anomaly.message,
+      window_start: range.start,
+      window_end: range.end,
+      step: 'discovery_anomaly'
+    }));
+  }
+  
+  run.id = await insertDiscoveryRun(db, run);
+  
+  return { ...run, stats };
+}
+
+/**
+ * Discover meetings from every requested source
+ * @param {Object} options
+ * @param {string} [options.startDate] - First day (YYYY-MM-DD)
+ * @param {string} [options.endDate] - Last day, inclusive (YYYY-MM-DD)
+ * @param {number} [options.graceDays] - Days to wait for video before VIDEO_NEVER_POSTED
+ * @param {string[]} [options.sourceIds] - Sources to poll (default: all enabled)
+ * @param {Object|false} [options.lock] - { wait, skipIfLocked } for the discovery lock,
+ *   or false when the caller already holds it
+ * @param {Object} [options.lease] - The caller's discovery lease, required with lock: false
+ */
 export async function runDiscovery(options = {}) {
+  const { lock = {}, lease = null } = options;
+  
+  if (lock === false) {
+    // Without the holder's lease a lost lock would go unnoticed mid-run
+    if (lease?.name !== DISCOVERY_LOCK) {
+      throw new Error('runDiscovery with lock: false needs the caller\'s discovery lease');
+    }
+    return discoverAll(options, lease);
+  }
+  
+  try {
+    return await withLock(DISCOVERY_LOCK, (lease) => discoverAll(options, lease), lock);
+  } catch (error) {
+    console.error(JSON.stringify({
+      message: 'Discovery error',
+      error: error.message,
+      stack: error.stack,
+      step: 'discovery'
+    }));
+    process.exit(1);
+  }
+}
+
+async function discoverAll(options, lease) {
   const { 
     startDate = null, 
-    endDate = null 
+    endDate = null,
+    graceDays = VIDEO_GRACE_DAYS,
+    sourceIds = null
   } = options;
 
+  let db = null;
   let queue = null;
+  let extractQueue = null;
   
   try {
-    const db = await initializeDatabase();
+    db = await initializeDatabase();
     queue = createQueue(QUEUE_NAMES.DOWNLOAD);
+    extractQueue = createQueue(QUEUE_NAMES.EXTRACT);
+    const queues = { download: queue, extract: extractQueue };
+    const lifecycleOptions = { now: new Date(), graceDays };
     
-    const meetings = await fetchMeetingsWithVideo(startDate, endDate);
-    
-    let newMeetingsCount = 0;
-    let existingMeetingsCount = 0;
-    let enqueuedCount = 0;
-    
-    for (const meeting of meetings) {
-      const existing = await getMeeting(db, meeting.id);
-      
-      if (!existing) {
-        await insertMeeting(db, meeting);
-        newMeetingsCount++;
-        console.log(JSON.stringify({
-          message: 'Inserted new meeting',
-          meeting_id: meeting.id,
-          title: meeting.title,
-          date: meeting.date,
-          step: 'discovery'
-        }));
-        
-        // Enqueue for download (first step in workflow)
-        await queue.add('process', { meetingId: meeting.id }, {
-          jobId: `download-${meeting.id}`,
-        });
-        enqueuedCount++;
-        console.log(JSON.stringify({
-          message: 'Enqueued meeting for download',
-          meeting_id: meeting.id,
-          queue: QUEUE_NAMES.DOWNLOAD,
-          step: 'enqueue'
-        }));
-      } else {
-        existingMeetingsCount++;
-      }
+    const runs = [];
+    for (const source of getSources(sourceIds)) {
+      assertLeaseHeld(lease, 'before the next source');
+      runs.push(await discoverSource(db, queues, source, { startDate, endDate, lifecycleOptions, lease }));
     }
     
+    const total = (key) => runs.reduce((sum, run) => sum + run.stats[key], 0);
+    const failedRuns = runs.filter(run => run.status === 'failed');
+    
     console.log(JSON.stringify({
       message: 'Discovery complete',
-      new_meetings: newMeetingsCount,
-      existing_meetings: existingMeetingsCount,
-      enqueued: enqueuedCount,
-      total_found: meetings.length,
+      sources: runs.map(run => run.source),
+      run_ids: runs.map(run => run.id),
+      new_meetings: total('new'),
+      existing_meetings: total('existing'),
+      repolled_meetings: total('repolled'),
+      changed_meetings: total('changed'),
+      promoted_meetings: total('promoted'),
+      video_never_posted: total('never_posted'),
+      unmatched_bodies: total('unmatched'),
+      cancelled_meetings: total('cancelled'),
+      linked_postponements: total('linked'),
+      enqueued: total('enqueued'),
+      total_found: runs.reduce((sum, run) => sum + run.found_count, 0),
+      failed_sources: failedRuns.map(run => run.source),
+      anomalies: runs.reduce((sum, run) => sum + run.anomalies.length, 0),
       step: 'discovery'
     }));
     
-    await db.close();
-    await queue.close();
-    
-  } catch (error) {
-    console.error(JSON.stringify({
-      message: 'Discovery error',
-      error: error.message,
-      stack: error.stack,
-      step: 'discovery'
-    }));
+    if (failedRuns.length > 0) {
+      throw new Error(`Discovery failed for ${failedRuns.map(run => run.source).join(', ')}`);
+    }
+  } finally {
+    // Errors propagate so the lock is released before the process exits
+    if (db) await db.close();
     if (queue) await queue.close();
-    process.exit(1);
+    if (extractQueue) await extractQueue.close();
   }
 }
 
@@ -152,6 +601,22 @@ async function main() {
         type: 'string',
         short: 't'
       },
+      'grace-days': {
+        type: 'string',
+        short: 'g'
+      },
+      source: {
+        type: 'string',
+        short: 's',
+        multiple: true
+      },
+      wait: {
+        type: 'boolean',
+        short: 'w'
+      },
+      'skip-if-locked': {
+        type: 'boolean'
+      },
       help: {
         type: 'boolean',
         short: 'h'
@@ -168,20 +633,30 @@ Usage: ./discover.js [options]
 
 Options:
   -f, --from DATE         Start date for discovery (YYYY-MM-DD)
-  -t, --to DATE           End date for discovery (YYYY-MM-DD)
+  -t, --to DATE           End date for discovery, inclusive (YYYY-MM-DD)
+  -g, --grace-days N      Days to wait for video after a meeting before flagging
+                          it VIDEO_NEVER_POSTED (default: ${VIDEO_GRACE_DAYS})
+  -s, --source ID         Only discover from this source (repeatable, default: all enabled)
+  -w, --wait              Wait for a running discovery/backfill to finish
+      --skip-if-locked    Exit quietly if discovery/backfill is already running
+                          (default: fail when the lock is held)
   -h, --help              Show this help
 
 Examples:
   ./discover.js                           # Discover current month
   ./discover.js --from=2024-01-01         # Discover from date to current month end
   ./discover.js --from=2024-01-01 --to=2024-01-31
+  ./discover.js --source=gainesville
     `);
     return;
   }
 
   await runDiscovery({ 
     startDate: values.from, 
-    endDate: values.to
+    endDate: values.to,
+    graceDays: values['grace-days'] ? parseInt(values['grace-days']) : VIDEO_GRACE_DAYS,
+    sourceIds: values.source,
+    lock: lockOptionsFromFlags(values)
   });
 }
 
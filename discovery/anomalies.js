@@ -0,0 +1,104 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Windows at least this long are expected to contain meetings
+const MIN_EXPECTED_WINDOW_DAYS = 7;
+
+// Successful runs used for the trailing average
+const TRAILING_RUNS = 10;
+
+// Need this many prior runs before a drop is meaningful
+const MIN_TRAILING_RUNS = 3;
+
+// Ignore drops when the baseline itself is this small (meetings per 30 days)
+const MIN_BASELINE_RATE = 4;
+
+// Flag a run finding less than this fraction of the trailing average
+const DROP_RATIO = 0.5;
+
+export const AnomalyTypes = {
+  ZERO_RESULTS: 'zero_results',
+  ZERO_RESULTS_24H: 'zero_results_24h',
+  SUDDEN_DROP: 'sudden_drop',
+  UNEXPECTED_RESPONSE: 'unexpected_response'
+};
+
+function windowDays(run) {
+  return (new Date(run.window_end).getTime() - new Date(run.window_start).getTime()) / DAY_MS;
+}
+
+// Meetings found per 30 days, so runs over different windows are comparable
+function foundRate(run) {
+  const days = windowDays(run);
+  return days > 0 ? (run.found_count / days) * 30 : 0;
+}
+
+/**
+ * Look for signs that discovery is silently broken
+ * @param {Object} run - The run being recorded (discovery_runs columns)
+ * @param {Object} context
+ * @param {Array} context.history - Earlier runs for the same source, newest first
+ * @param {number} context.knownMeetings - Meetings already stored inside this run's window
+ * @param {string[]} context.warnings - Entries the source skipped as malformed
+ * @param {Date} context.now - Current time
+ * @returns {Array<{type: string, message: string}>}
+ */
+export function detectAnomalies(run, { history = [], knownMeetings = 0, warnings = [], now = new Date() } = {}) {
+  const anomalies = [];
+
+  if (run.status === 'failed') {
+    const shapeError = run.errors.find(error => error.code === 'UNEXPECTED_RESPONSE');
+    if (shapeError) {
+      anomalies.push({
+        type: AnomalyTypes.UNEXPECTED_RESPONSE,
+        message: shapeError.message
+      });
+    }
+    // Counts from a failed run say nothing about the calendar
+    return anomalies;
+  }
+
+  if (warnings.length > 0) {
+    anomalies.push({
+      type: AnomalyTypes.UNEXPECTED_RESPONSE,
+      message: `${warnings.length} calendar entries could not be read`,
+      warnings: warnings.slice(0, 10)
+    });
+  }
+
+  if (run.found_count === 0 && (knownMeetings > 0 || windowDays(run) >= MIN_EXPECTED_WINDOW_DAYS)) {
+    anomalies.push({
+      type: AnomalyTypes.ZERO_RESULTS,
+      message: knownMeetings > 0
+        ? `Calendar returned no meetings, but ${knownMeetings} are already stored for this window`
+        : `Calendar returned no meetings for a ${Math.round(windowDays(run))} day window`,
+      known_meetings: knownMeetings
+    });
+  }
+
+  const succeeded = history.filter(previous => previous.status === 'succeeded');
+
+  const lastDay = succeeded.filter(previous => now.getTime() - new Date(previous.started_at).getTime() <= DAY_MS);
+  if (run.found_count === 0 && lastDay.length > 0 && lastDay.every(previous => previous.found_count === 0)) {
+    anomalies.push({
+      type: AnomalyTypes.ZERO_RESULTS_24H,
+      message: `No meetings found by any of the ${lastDay.length + 1} runs in the last 24 hours`
+    });
+  }
+
+  const trailing = succeeded.slice(0, TRAILING_RUNS);
+  if (trailing.length >= MIN_TRAILING_RUNS) {
+    const average = trailing.reduce((sum, previous) => sum + foundRate(previous), 0) / trailing.length;
+    const rate = foundRate(run);
+
+    if (average >= MIN_BASELINE_RATE && rate < average * DROP_RATIO) {
+      anomalies.push({
+        type: AnomalyTypes.SUDDEN_DROP,
+        message: `Found ${rate.toFixed(1)} meetings per 30 days against a trailing average of ${average.toFixed(1)}`,
+        rate,
+        trailing_average: average
+      });
+    }
+  }
+
+  return anomalies;
+}
@@ -0,0 +1,113 @@
+import { MeetingStates } from '../db/init.js';
+import { toZonedISOString, DEFAULT_TIMEZONE } from '../lib/dates.js';
+import { SPECIAL_PATTERN } from '../bodies/config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far after a postponed meeting we look for the meeting that replaces it
+export const REPLACEMENT_WINDOW_DAYS = parseInt(process.env.REPLACEMENT_WINDOW_DAYS) || 90;
+
+export const CancelTypes = {
+  CANCELLED: 'cancelled',
+  POSTPONED: 'postponed'
+};
+
+// States a meeting can be cancelled from: nothing has been produced for it yet
+export const CANCELLABLE_STATES = [
+  MeetingStates.SCHEDULED,
+  MeetingStates.AWAITING_VIDEO,
+  MeetingStates.VIDEO_NEVER_POSTED,
+  MeetingStates.DISCOVERED,
+  MeetingStates.DOWNLOAD_DEFERRED,
+  MeetingStates.FAILED
+];
+
+// Title wording clerks use, e.g. "City Commission - CANCELLED". "Rescheduled"
+// is left out: it is as often the title of the replacement meeting.
+const TITLE_MARKERS = [
+  { type: CancelTypes.CANCELLED, pattern: /\bcancell?ed\b/i },
+  { type: CancelTypes.POSTPONED, pattern: /\bpostponed\b/i }
+];
+
+// Titles a rescheduled session is posted under when it is not a copy of the original's
+const RESCHEDULED_PATTERN = /\brescheduled\b/i;
+
+const MARKER_STRIP_PATTERN = /[\s\-–:]*[([]?\s*\b(cancell?ed|postponed|rescheduled)\b\s*[)\]]?/gi;
+
+/**
+ * Decide whether a calendar entry is cancelled or postponed
+ * @param {Object} meeting - Meeting as returned by discovery; `status` is the
+ *   adapter's reading of the portal's own flags, if any
+ * @returns {{type: string, reason: string}|null}
+ */
+export function detectCancellation(meeting) {
+  if (meeting.status === CancelTypes.CANCELLED || meeting.status === CancelTypes.POSTPONED) {
+    return {
+      type: meeting.status,
+      reason: meeting.status_detail
+        ? `Calendar status: ${meeting.status_detail}`
+        : `Calendar marks meeting as ${meeting.status}`
+    };
+  }
+
+  for (const marker of TITLE_MARKERS) {
+    const match = meeting.title?.match(marker.pattern);
+    if (match) {
+      return {
+        type: marker.type,
+        reason: `Title says "${match[0]}"`
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Title with cancellation wording removed, for matching a replacement meeting
+ */
+export function baseTitle(title) {
+  return (title || '')
+    .replace(MARKER_STRIP_PATTERN, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Pick the meeting that replaces a postponed one
+ * @param {Object} postponed - The postponed meeting row
+ * @param {Array} candidates - Later meetings from the same source, ordered by date
+ * @returns {Object|null} - The earliest candidate of the same body with the
+ *   same base title or a special/rescheduled title; without bodies, the same base title
+ */
+export function pickReplacement(postponed, candidates) {
+  const title = baseTitle(postponed.title);
+  const postponedAt = new Date(postponed.date).getTime();
+
+  return candidates.find(candidate => {
+    if (candidate.id === postponed.id || candidate.state === MeetingStates.CANCELLED) return false;
+    if (new Date(candidate.date).getTime() <= postponedAt) return false;
+
+    const sameTitle = baseTitle(candidate.title) === title;
+    if (postponed.body_id && candidate.body_id) {
+      // The body's next regular meeting is not a replacement; rescheduled
+      // sessions keep the title or are posted as special meetings
+      if (candidate.body_id !== postponed.body_id) return false;
+      return sameTitle
+        || Boolean(candidate.is_special)
+        || SPECIAL_PATTERN.test(candidate.title || '')
+        || RESCHEDULED_PATTERN.test(candidate.title || '');
+    }
+    return sameTitle;
+  }) || null;
+}
+
+/**
+ * End of the window searched for a postponed meeting's replacement, in the
+ * same ISO-8601-with-offset form as stored dates so they compare as strings
+ */
+export function replacementWindowEnd(meeting, { timeZone = DEFAULT_TIMEZONE, windowDays = REPLACEMENT_WINDOW_DAYS } = {}) {
+  const end = new Date(new Date(meeting.date).getTime() + windowDays * DAY_MS);
+  return toZonedISOString(end, timeZone);
+}
@@ -0,0 +1,73 @@
+// Calendar fields we keep in sync with the stored meeting row
+export const TRACKED_FIELDS = ['title', 'date', 'meeting_url', 'has_video'];
+
+// Fields that are baked into generated chapters and the YouTube title
+const PUBLISHED_FIELDS = ['title', 'date'];
+
+// States where chapters (and possibly a YouTube video) already exist;
+// AUDIO_UNAVAILABLE meetings are extracted too; only their diarization waits
+const EXTRACTED_STATES = ['EXTRACTED', 'UPLOADED', 'DIARIZED', 'AUDIO_UNAVAILABLE'];
+
+export const FollowUps = {
+  REEXTRACT: 'reextract'
+};
+
+function normalizeValue(field, value) {
+  if (field === 'has_video') {
+    return Boolean(value);
+  }
+  return value ?? null;
+}
+
+/**
+ * Compare a calendar record against the stored meeting row
+ * @param {Object} existing - Row from the meetings table
+ * @param {Object} incoming - Meeting as returned by discovery
+ * @returns {Array<{field: string, oldValue: *, newValue: *}>} - Changed fields
+ */
+export function diffMeeting(existing, incoming) {
+  const changes = [];
+
+  for (const field of TRACKED_FIELDS) {
+    if (!(field in incoming)) continue;
+
+    const oldValue = normalizeValue(field, existing[field]);
+    const newValue = normalizeValue(field, incoming[field]);
+
+    if (oldValue !== newValue) {
+      changes.push({ field, oldValue, newValue });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Decide which follow-up jobs a set of changes requires
+ * @param {Object} existing - Row from the meetings table (before the update)
+ * @param {Array} changes - Output of diffMeeting
+ * @returns {string[]} - FollowUps values
+ */
+export function planFollowUps(existing, changes) {
+  const followUps = [];
+  const changedFields = changes.map(change => change.field);
+
+  const publishedChanged = changedFields.some(field => PUBLISHED_FIELDS.includes(field));
+  if (publishedChanged && EXTRACTED_STATES.includes(existing.state)) {
+    // Re-extraction regenerates chapters and retitles the YouTube video if there is one
+    followUps.push(FollowUps.REEXTRACT);
+  }
+
+  return followUps;
+}
+
+/**
+ * Convert changes to the column updates for the meetings table
+ */
+export function changesToFields(changes) {
+  const fields = {};
+  for (const { field, newValue } of changes) {
+    fields[field] = field === 'has_video' ? (newValue ? 1 : 0) : newValue;
+  }
+  return fields;
+}
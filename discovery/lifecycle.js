@@ -0,0 +1,80 @@
+import { MeetingStates } from '../db/init.js';
+import { formatMeetingDate } from '../lib/dates.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long after the meeting date we keep polling for a video before giving up
+export const VIDEO_GRACE_DAYS = parseInt(process.env.VIDEO_GRACE_DAYS) || 14;
+
+// States discovery keeps re-polling until a video shows up
+export const PENDING_VIDEO_STATES = [
+  MeetingStates.SCHEDULED,
+  MeetingStates.AWAITING_VIDEO
+];
+
+// States that move to DISCOVERED once the calendar reports a video
+const PROMOTABLE_STATES = [
+  ...PENDING_VIDEO_STATES,
+  MeetingStates.VIDEO_NEVER_POSTED
+];
+
+/**
+ * Initial state for a meeting seen for the first time
+ * @param {Object} meeting - Meeting as returned by discovery
+ * @param {Date} now - Current time
+ * @returns {string} - MeetingStates value
+ */
+export function initialState(meeting, now = new Date()) {
+  if (meeting.has_video) {
+    return MeetingStates.DISCOVERED;
+  }
+  return new Date(meeting.date) > now ? MeetingStates.SCHEDULED : MeetingStates.AWAITING_VIDEO;
+}
+
+/**
+ * Next state for a meeting in the pre-video lifecycle
+ * @param {Object} meeting - Stored meeting row, with the latest calendar values applied
+ * @param {Object} options
+ * @param {Date} options.now - Current time
+ * @param {number} options.graceDays - Days after the meeting date to wait for video
+ * @returns {string|null} - New state, or null when nothing changes
+ */
+export function nextPreVideoState(meeting, { now = new Date(), graceDays = VIDEO_GRACE_DAYS } = {}) {
+  if (!PROMOTABLE_STATES.includes(meeting.state)) {
+    return null;
+  }
+
+  let next;
+  if (meeting.has_video) {
+    next = MeetingStates.DISCOVERED;
+  } else if (meeting.state === MeetingStates.VIDEO_NEVER_POSTED) {
+    next = MeetingStates.VIDEO_NEVER_POSTED;
+  } else {
+    const meetingTime = new Date(meeting.date).getTime();
+    if (meetingTime > now.getTime()) {
+      next = MeetingStates.SCHEDULED;
+    } else if (now.getTime() - meetingTime > graceDays * DAY_MS) {
+      next = MeetingStates.VIDEO_NEVER_POSTED;
+    } else {
+      next = MeetingStates.AWAITING_VIDEO;
+    }
+  }
+
+  return next === meeting.state ? null : next;
+}
+
+/**
+ * Calendar window (local YYYY-MM-DD, both inclusive) covering the given meetings
+ * @param {Array} meetings - Meeting rows
+ * @returns {{start: string, end: string}|null}
+ */
+export function windowFor(meetings) {
+  if (meetings.length === 0) return null;
+
+  const days = meetings.map(meeting => formatMeetingDate(meeting.date)).sort();
+
+  return {
+    start: days[0],
+    end: days[days.length - 1]
+  };
+}
@@ -65,7 +65,14 @@ app.post('/upload/:type/:meetingId', upload.single('file'), async (req, res) =>
       return res.status(400).json({ error: 'Invalid meeting ID format' });
     }
     
-    const destPath = pathFor(type, meetingId);
+    // Multi-part recordings store one file per part
+    const { part } = req.query;
+    if (part !== undefined && !/^\d+$/.test(part)) {
+      await fs.unlink(req.file.path).catch(() => {}); // Clean up temp file
+      return res.status(400).json({ error: 'Invalid part number' });
+    }
+    
+    const destPath = pathFor(type, meetingId, part ? { part } : {});
     
     // Verify destination is within storage root
     if (!isPathSafe(destPath)) {
@@ -0,0 +1,195 @@
+/**
+ * Timezone-aware date helpers.
+ *
+ * Meeting portals report local wall-clock times without an offset, and the
+ * calendar API expects local midnights. These helpers convert between wall
+ * time in an IANA timezone and real instants, so DST transitions are handled
+ * instead of assuming a fixed -04:00.
+ */
+
+export const DEFAULT_TIMEZONE = 'America/New_York';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (num) => String(num).padStart(2, '0');
+
+function wallClockParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+    timeZoneName: 'longOffset'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type).value;
+  return {
+    year: parseInt(get('year')),
+    month: parseInt(get('month')),
+    day: parseInt(get('day')),
+    hour: parseInt(get('hour')),
+    minute: parseInt(get('minute')),
+    second: parseInt(get('second')),
+    offsetName: get('timeZoneName')
+  };
+}
+
+/**
+ * UTC offset of a timezone at a given instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} - Minutes east of UTC (e.g. -240 for EDT)
+ */
+export function timezoneOffsetMinutes(date, timeZone) {
+  const { offsetName } = wallClockParts(date, timeZone);
+  const match = offsetName.match(/GMT([+-])(\d{2}):(\d{2})/);
+  if (!match) return 0; // "GMT" means UTC
+
+  const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ * @param {Object} parts - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+export function zonedTimeToDate(parts, timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = parts;
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // The offset at the guessed instant can differ from the offset at the
+  // real one when the guess lands on the other side of a DST change
+  let offset = timezoneOffsetMinutes(new Date(asUtc), timeZone);
+  let result = asUtc - offset * 60000;
+  const correctedOffset = timezoneOffsetMinutes(new Date(result), timeZone);
+  if (correctedOffset !== offset) {
+    result = asUtc - correctedOffset * 60000;
+  }
+
+  return new Date(result);
+}
+
+/**
+ * Format an instant as ISO-8601 wall time in a timezone, with its offset
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} - e.g. "2025-03-10T17:30:00-04:00"
+ */
+export function toZonedISOString(date, timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day, hour, minute, second } = wallClockParts(date, timeZone);
+  const offset = formatOffset(timezoneOffsetMinutes(date, timeZone));
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${offset}`;
+}
+
+/**
+ * Parse a local date/time string in a timezone.
+ * Accepts eScribe's "YYYY/MM/DD HH:MM:SS", "YYYY-MM-DD" and
+ * "YYYY-MM-DDTHH:MM[:SS]". Strings that already carry an offset or Z are
+ * parsed as-is.
+ * @param {string} value - Date string
+ * @param {string} timeZone - IANA timezone for strings without an offset
+ * @returns {Date}
+ */
+export function parseZonedDate(value, timeZone = DEFAULT_TIMEZONE) {
+  if (/(Z|[+-]\d{2}:?\d{2})$/.test(value)) {
+    return new Date(value);
+  }
+
+  const match = value.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (!match) {
+    throw new Error(`Unrecognized date: ${value}`);
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+  return zonedTimeToDate({
+    year: parseInt(year),
+    month: parseInt(month),
+    day: parseInt(day),
+    hour: parseInt(hour),
+    minute: parseInt(minute),
+    second: parseInt(second)
+  }, timeZone);
+}
+
+/**
+ * Normalize a meeting date to ISO-8601 with offset
+ * @param {string} value - Date as reported by the source or stored previously
+ * @param {string} timeZone - IANA timezone of the source
+ * @returns {string}
+ */
+export function normalizeMeetingDate(value, timeZone = DEFAULT_TIMEZONE) {
+  return toZonedISOString(parseZonedDate(value, timeZone), timeZone);
+}
+
+/**
+ * Local midnight at the start of a day
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} timeZone - IANA timezone
+ * @param {number} addDays - Days to move forward from `day`
+ * @returns {string} - ISO-8601 with offset
+ */
+export function startOfDay(day, timeZone = DEFAULT_TIMEZONE, addDays = 0) {
+  const [year, month, date] = day.split('-').map(num => parseInt(num));
+  if (!year || !month || !date) {
+    throw new Error(`Invalid date: ${day}. Please use format YYYY-MM-DD`);
+  }
+  // Date.UTC normalizes day overflow (e.g. Jan 32 -> Feb 1)
+  const shifted = new Date(Date.UTC(year, month - 1, date + addDays));
+  return toZonedISOString(zonedTimeToDate({
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate()
+  }, timeZone), timeZone);
+}
+
+/**
+ * Local midnights bounding the month containing `now`
+ * @param {Date} now - Instant inside the month
+ * @param {string} timeZone - IANA timezone
+ * @returns {{start: string, end: string}} - ISO-8601 with offset, end exclusive
+ */
+export function monthRange(now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const { year, month } = wallClockParts(now, timeZone);
+  const nextYear = month === 12 ? year + 1 : year;
+  const nextMonth = month === 12 ? 1 : month + 1;
+
+  return {
+    start: toZonedISOString(zonedTimeToDate({ year, month, day: 1 }, timeZone), timeZone),
+    end: toZonedISOString(zonedTimeToDate({ year: nextYear, month: nextMonth, day: 1 }, timeZone), timeZone)
+  };
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in a timezone
+ */
+export function todayIn(timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+  return toZonedISOString(now, timeZone).slice(0, 10);
+}
+
+/**
+ * Calendar date of a stored meeting date, safe for titles and filenames
+ * @param {string} date - ISO-8601 with offset, or legacy "YYYY/MM/DD HH:MM:SS"
+ * @returns {string} - YYYY-MM-DD
+ */
+export function formatMeetingDate(date) {
+  return date.slice(0, 10).replace(/\//g, '-');
+}
+
+/**
+ * Whole days between an instant and now
+ */
+export function daysSince(date, now = new Date()) {
+  return (now.getTime() - new Date(date).getTime()) / DAY_MS;
+}
@@ -0,0 +1,131 @@
+/**
+ * Speech-recognition audio: 16 kHz mono FLAC, loudness-normalized to
+ * EBU R128 with ffmpeg's two-pass loudnorm, optionally denoised first.
+ *
+ * The city's encodes swing from barely audible commissioners to clipped
+ * public comment; WhisperX does noticeably better on levelled audio.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { runFfmpeg } from './ffmpeg.js';
+
+export const ASR_SAMPLE_RATE = 16000;
+
+// EBU R128 programme loudness, with a tighter range than broadcast since
+// this is only ever listened to by a model
+export const LOUDNESS_TARGET = {
+  integrated: parseFloat(process.env.ASR_LOUDNESS_I) || -23,
+  truePeak: parseFloat(process.env.ASR_LOUDNESS_TP) || -2,
+  range: parseFloat(process.env.ASR_LOUDNESS_LRA) || 7
+};
+
+const DENOISE = process.env.ASR_DENOISE === 'true';
+
+/**
+ * loudnorm prints its measurements as a JSON object on stderr
+ */
+function parseLoudnormOutput(stderr) {
+  const matches = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/g);
+  if (!matches) {
+    throw new Error('loudnorm did not report measurements');
+  }
+  return JSON.parse(matches[matches.length - 1]);
+}
+
+function loudnormFilter(measured) {
+  const { integrated, truePeak, range } = LOUDNESS_TARGET;
+  const options = [`I=${integrated}`, `TP=${truePeak}`, `LRA=${range}`];
+
+  if (measured) {
+    options.push(
+      `measured_I=${measured.input_i}`,
+      `measured_TP=${measured.input_tp}`,
+      `measured_LRA=${measured.input_lra}`,
+      `measured_thresh=${measured.input_thresh}`,
+      `offset=${measured.target_offset}`,
+      'linear=true'
+    );
+  }
+
+  options.push('print_format=json');
+  return `loudnorm=${options.join(':')}`;
+}
+
+function filterChain(denoise, measured) {
+  return [denoise ? 'afftdn' : null, loudnormFilter(measured)].filter(Boolean).join(',');
+}
+
+/**
+ * Write ASR-ready audio for a video and return the loudness measurements
+ * @param {string} inputPath - Video (or audio) file
+ * @param {string} outputPath - FLAC file to write
+ * @param {Object} options
+ * @param {boolean} [options.denoise] - Run afftdn before normalizing (default ASR_DENOISE)
+ * @returns {Promise<Object>} - Loudness before and after normalization
+ */
+export async function prepareAsrAudio(inputPath, outputPath, { denoise = DENOISE } = {}) {
+  console.log(JSON.stringify({
+    message: 'Preparing ASR audio',
+    input_path: inputPath,
+    output_path: outputPath,
+    denoise,
+    target: LOUDNESS_TARGET,
+    step: 'asr_audio_start'
+  }));
+
+  // Pass 1 only measures
+  const { stderr: measureOutput } = await runFfmpeg([
+    '-i', inputPath,
+    '-vn',
+    '-af', filterChain(denoise, null),
+    '-f', 'null', '-'
+  ]);
+  const measured = parseLoudnormOutput(measureOutput);
+
+  // Pass 2 applies a linear gain from the measurements; loudnorm resamples
+  // to 192 kHz internally, so the output rate is set afterwards
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  const { stderr: normalizeOutput } = await runFfmpeg([
+    '-i', inputPath,
+    '-vn',
+    '-af', filterChain(denoise, measured),
+    '-ar', String(ASR_SAMPLE_RATE),
+    '-ac', '1',
+    '-c:a', 'flac',
+    '-y', outputPath
+  ]);
+  const normalized = parseLoudnormOutput(normalizeOutput);
+
+  const stats = {
+    input_i: parseFloat(measured.input_i),
+    input_tp: parseFloat(measured.input_tp),
+    input_lra: parseFloat(measured.input_lra),
+    input_thresh: parseFloat(measured.input_thresh),
+    output_i: parseFloat(normalized.output_i),
+    output_tp: parseFloat(normalized.output_tp),
+    output_lra: parseFloat(normalized.output_lra),
+    target_offset: parseFloat(normalized.target_offset),
+    normalization_type: normalized.normalization_type,
+    target_i: LOUDNESS_TARGET.integrated,
+    target_tp: LOUDNESS_TARGET.truePeak,
+    target_lra: LOUDNESS_TARGET.range,
+    sample_rate: ASR_SAMPLE_RATE,
+    denoised: denoise,
+    measured_at: new Date().toISOString()
+  };
+
+  const fileStats = await fs.stat(outputPath);
+
+  console.log(JSON.stringify({
+    message: 'ASR audio prepared',
+    output_path: outputPath,
+    size_mb: (fileStats.size / (1024 * 1024)).toFixed(2),
+    input_i: stats.input_i,
+    output_i: stats.output_i,
+    output_tp: stats.output_tp,
+    normalization_type: stats.normalization_type,
+    step: 'asr_audio_complete'
+  }));
+
+  return stats;
+}
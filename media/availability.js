@@ -0,0 +1,37 @@
+/**
+ * Recognizes download failures that mean "the video is not posted yet".
+ * eScribe flips HasVideo before the recording is actually published, so
+ * these are worth waiting out rather than failing the meeting.
+ */
+
+const NOT_YET_AVAILABLE_PATTERNS = [
+  /not (yet )?available/i,
+  /video unavailable/i,
+  /no video formats found/i,
+  /HTTP Error 404/i,
+  /Unsupported URL/i,
+  /No MP4 or HLS source found/i,
+  /request failed: 404/i,
+  /still live/i
+];
+
+/**
+ * Thrown when every download strategy says the video is not there yet
+ */
+export class VideoNotAvailableError extends Error {
+  constructor(message, failures = []) {
+    super(message);
+    this.name = 'VideoNotAvailableError';
+    this.code = 'VIDEO_NOT_AVAILABLE';
+    this.failures = failures;
+  }
+}
+
+/**
+ * Whether an error from yt-dlp or the native downloader means the video
+ * has not been published yet (as opposed to a broken download)
+ */
+export function isNotYetAvailable(error) {
+  const text = `${error.message}\n${error.stderr || ''}`;
+  return NOT_YET_AVAILABLE_PATTERNS.some(pattern => pattern.test(text));
+}
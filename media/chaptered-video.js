@@ -0,0 +1,103 @@
+/**
+ * Archive copy of a meeting video with the agenda chapters and meeting
+ * details embedded, so the file keeps its navigation once downloaded.
+ *
+ * Streams are copied, never re-encoded, and RAW_VIDEO is only read.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { pathFor, StorageTypes } from '../storage/paths.js';
+import { getBody } from '../bodies/classifier.js';
+import { formatMeetingDate } from '../lib/dates.js';
+import { toFfmetadata } from '../agenda/chapter-formats.js';
+import { runFfmpeg, probeMedia } from './ffmpeg.js';
+
+// Copying streams can move the end by a frame or two, no more
+export const DURATION_TOLERANCE_SECONDS = 1;
+
+/**
+ * Container tags for a meeting
+ */
+export function videoTags(meeting) {
+  const body = meeting.body_id ? getBody(meeting.body_id) : null;
+
+  return {
+    title: meeting.title,
+    date: formatMeetingDate(meeting.date),
+    artist: body?.name || null,
+    comment: meeting.meeting_url || null
+  };
+}
+
+/**
+ * Remux RAW_VIDEO with chapters and meeting tags into DERIVED_VIDEO_CHAPTERED
+ * @param {Object} meeting - Meeting row
+ * @param {Array} chapters - Normalized chapters (see agenda/chapters.js)
+ * @returns {Promise<{outputPath: string, durationSeconds: number, chapters: number}>}
+ * @throws {Error} - When ffmpeg fails or the output does not match the original
+ */
+export async function embedChapters(meeting, chapters) {
+  const videoPath = pathFor(StorageTypes.RAW_VIDEO, meeting.id);
+  const outputPath = pathFor(StorageTypes.DERIVED_VIDEO_CHAPTERED, meeting.id);
+  const metadataPath = `${outputPath}.ffmetadata`;
+  // Written beside the final file and renamed, so a failed run never leaves
+  // a truncated archive in place
+  const partialPath = `${outputPath}.partial.mp4`;
+
+  console.log(JSON.stringify({
+    message: 'Embedding chapters in video',
+    meeting_id: meeting.id,
+    video_path: videoPath,
+    output_path: outputPath,
+    chapters: chapters.length,
+    step: 'chapter_embed_start'
+  }));
+
+  const original = await probeMedia(videoPath);
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(metadataPath, toFfmetadata(chapters, {
+    durationSeconds: original.durationSeconds,
+    tags: videoTags(meeting)
+  }));
+
+  try {
+    await runFfmpeg([
+      '-i', videoPath,
+      '-f', 'ffmetadata', '-i', metadataPath,
+      '-map', '0',
+      '-map_metadata', '1',
+      '-map_chapters', '1',
+      '-c', 'copy',
+      '-movflags', '+faststart',
+      '-y', partialPath
+    ]);
+
+    const output = await probeMedia(partialPath);
+    const drift = Math.abs((output.durationSeconds ?? 0) - (original.durationSeconds ?? 0));
+
+    if (original.durationSeconds === null || drift > DURATION_TOLERANCE_SECONDS) {
+      throw new Error(`Chaptered video duration ${output.durationSeconds}s does not match original ${original.durationSeconds}s`);
+    }
+    if (output.chapters.length !== chapters.length) {
+      throw new Error(`Chaptered video has ${output.chapters.length} chapters, expected ${chapters.length}`);
+    }
+
+    await fs.rename(partialPath, outputPath);
+
+    console.log(JSON.stringify({
+      message: 'Chapters embedded',
+      meeting_id: meeting.id,
+      output_path: outputPath,
+      duration_seconds: output.durationSeconds,
+      chapters: output.chapters.length,
+      step: 'chapter_embed_complete'
+    }));
+
+    return { outputPath, durationSeconds: output.durationSeconds, chapters: output.chapters.length };
+  } catch (error) {
+    await fs.rm(partialPath, { force: true });
+    throw error;
+  } finally {
+    await fs.rm(metadataPath, { force: true });
+  }
+}
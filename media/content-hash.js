@@ -0,0 +1,42 @@
+/**
+ * Content hashes of downloaded videos, for spotting the same recording
+ * published under more than one meeting id (joint meetings, re-posts).
+ */
+import fs from 'fs';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+
+/**
+ * SHA-256 of one or more files read back to back, as hex
+ * @param {string[]} filePaths - Files in order (the parts of a recording)
+ * @returns {Promise<string>}
+ */
+export async function hashFiles(filePaths) {
+  const hash = crypto.createHash('sha256');
+
+  for (const filePath of filePaths) {
+    await pipeline(fs.createReadStream(filePath), hash, { end: false });
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * The meeting a duplicate should point at: an original rather than another
+ * alias, preferring one already on YouTube, then the first one found
+ * @param {Object} meeting - Meeting row the video was just downloaded for
+ * @param {Array} matches - Meeting rows with the same content hash
+ * @returns {string|null} - Meeting ID
+ */
+export function pickOriginal(meeting, matches) {
+  const others = matches.filter(other => other.id !== meeting.id);
+  const originals = others
+    .filter(other => !other.alias_of)
+    .sort((a, b) => Number(!a.youtube_video_id) - Number(!b.youtube_video_id)
+      || String(a.created_at).localeCompare(String(b.created_at)));
+
+  if (originals.length > 0) return originals[0].id;
+
+  // Every match is an alias; follow one that does not lead back here
+  return others.map(other => other.alias_of).find(id => id !== meeting.id) ?? null;
+}
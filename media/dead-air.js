@@ -0,0 +1,172 @@
+/**
+ * Find where a meeting actually starts: many recordings open with a static
+ * slate, black frames or silence before the gavel. ffmpeg's silencedetect,
+ * blackdetect and freezedetect scan the start of the video; the dead air
+ * is whatever of those runs from the very first second.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { pathFor, StorageTypes } from '../storage/paths.js';
+import { runFfmpeg, probeMedia } from './ffmpeg.js';
+
+export const SCAN_SECONDS = (parseInt(process.env.DEAD_AIR_SCAN_MINUTES) || 60) * 60;
+// Less than this is not worth a second cut of the video
+export const MIN_DEAD_AIR_SECONDS = parseInt(process.env.DEAD_AIR_MIN_SECONDS) || 60;
+// Keep a few seconds before the detected start so the gavel is not clipped
+export const PRE_ROLL_SECONDS = 5;
+
+// How close to 0 an interval must begin to count as leading
+const LEADING_TOLERANCE_SECONDS = 1;
+
+const DETECT_AUDIO = 'silencedetect=noise=-45dB:d=5';
+// Scaling down first makes the video filters much cheaper on long scans
+const DETECT_VIDEO = 'scale=320:-2,blackdetect=d=5:pix_th=0.10,freezedetect=n=-60dB:d=10';
+
+/**
+ * Pair up `<kind>_start` / `<kind>_end` lines from ffmpeg's detect filters
+ * @param {string} stderr - ffmpeg output
+ * @param {number} scannedSeconds - Where an unterminated interval ends
+ * @returns {{silence: Array, black: Array, freeze: Array}} - Intervals as { start, end } seconds
+ */
+export function parseDetections(stderr, scannedSeconds) {
+  const intervals = { silence: [], black: [], freeze: [] };
+  const open = {};
+
+  for (const match of stderr.matchAll(/\b(silence|black|freeze)_(start|end)\s*:\s*(-?\d+(?:\.\d+)?)/g)) {
+    const [, kind, edge, value] = match;
+    const seconds = Math.max(0, parseFloat(value));
+
+    if (edge === 'start') {
+      open[kind] = seconds;
+    } else if (open[kind] !== undefined) {
+      intervals[kind].push({ start: open[kind], end: seconds });
+      delete open[kind];
+    }
+  }
+
+  for (const [kind, start] of Object.entries(open)) {
+    intervals[kind].push({ start, end: scannedSeconds });
+  }
+
+  return intervals;
+}
+
+/**
+ * End of the dead air that runs from the start, chaining overlapping intervals
+ */
+function leadingEnd(intervals) {
+  let end = 0;
+  for (const interval of [...intervals].sort((a, b) => a.start - b.start)) {
+    const reach = end === 0 ? LEADING_TOLERANCE_SECONDS : end;
+    if (interval.start > reach) break;
+    end = Math.max(end, interval.end);
+  }
+  return end;
+}
+
+/**
+ * Detect leading dead air in a video
+ * @param {string} videoPath - Video file
+ * @param {Object} options
+ * @param {number} [options.maxStartSeconds] - Never place the start later than
+ *   this (e.g. the first agenda bookmark)
+ * @returns {Promise<Object>} - { startOffset, detectedEnd, audioEnd, videoEnd, cappedAt, intervals, scannedSeconds }
+ *   `startOffset` is 0 when there is nothing worth trimming
+ */
+export async function detectDeadAir(videoPath, { maxStartSeconds = null } = {}) {
+  const { durationSeconds } = await probeMedia(videoPath);
+  const scannedSeconds = Math.min(SCAN_SECONDS, durationSeconds ?? SCAN_SECONDS);
+
+  console.log(JSON.stringify({
+    message: 'Scanning for dead air',
+    video_path: videoPath,
+    scan_seconds: scannedSeconds,
+    step: 'dead_air_start'
+  }));
+
+  const { stderr } = await runFfmpeg([
+    '-t', String(scannedSeconds),
+    '-i', videoPath,
+    '-af', DETECT_AUDIO,
+    '-vf', DETECT_VIDEO,
+    '-f', 'null', '-'
+  ]);
+
+  const intervals = parseDetections(stderr, scannedSeconds);
+  const audioEnd = leadingEnd(intervals.silence);
+  const videoEnd = leadingEnd([...intervals.black, ...intervals.freeze]);
+
+  let detectedEnd = Math.max(audioEnd, videoEnd);
+  let cappedAt = null;
+  if (maxStartSeconds !== null && detectedEnd > maxStartSeconds) {
+    cappedAt = maxStartSeconds;
+    detectedEnd = maxStartSeconds;
+  }
+
+  const startOffset = detectedEnd - PRE_ROLL_SECONDS >= MIN_DEAD_AIR_SECONDS
+    ? Math.floor(detectedEnd - PRE_ROLL_SECONDS)
+    : 0;
+
+  console.log(JSON.stringify({
+    message: startOffset > 0 ? 'Dead air detected' : 'No dead air worth trimming',
+    video_path: videoPath,
+    start_offset: startOffset,
+    audio_end: audioEnd,
+    video_end: videoEnd,
+    capped_at: cappedAt,
+    step: 'dead_air_complete'
+  }));
+
+  return { startOffset, detectedEnd, audioEnd, videoEnd, cappedAt, intervals, scannedSeconds };
+}
+
+/**
+ * Cut the leading dead air from RAW_VIDEO into DERIVED_VIDEO_TRIMMED without
+ * re-encoding. Stream copy can only cut on a keyframe, so the cut lands a
+ * little before `startOffset`; the returned offset is the one actually cut.
+ * @param {Object} meeting - Meeting row
+ * @param {number} startOffset - Seconds to drop
+ * @returns {Promise<{outputPath: string, trimStartSeconds: number, durationSeconds: number}>}
+ */
+export async function trimDeadAir(meeting, startOffset) {
+  const videoPath = pathFor(StorageTypes.RAW_VIDEO, meeting.id);
+  const outputPath = pathFor(StorageTypes.DERIVED_VIDEO_TRIMMED, meeting.id);
+  const partialPath = `${outputPath}.partial.mp4`;
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+
+  try {
+    await runFfmpeg([
+      '-ss', String(startOffset),
+      '-i', videoPath,
+      '-map', '0',
+      '-c', 'copy',
+      '-avoid_negative_ts', 'make_zero',
+      '-movflags', '+faststart',
+      '-y', partialPath
+    ]);
+
+    const [original, trimmed] = await Promise.all([probeMedia(videoPath), probeMedia(partialPath)]);
+    const trimStartSeconds = original.durationSeconds - trimmed.durationSeconds;
+
+    if (!(trimStartSeconds > 0) || trimStartSeconds > startOffset + 30) {
+      throw new Error(`Trimmed video is ${trimmed.durationSeconds}s of ${original.durationSeconds}s, expected about ${startOffset}s less`);
+    }
+
+    await fs.rename(partialPath, outputPath);
+
+    console.log(JSON.stringify({
+      message: 'Trimmed dead air',
+      meeting_id: meeting.id,
+      output_path: outputPath,
+      requested_offset: startOffset,
+      trim_start_seconds: trimStartSeconds,
+      step: 'dead_air_trimmed'
+    }));
+
+    return { outputPath, trimStartSeconds, durationSeconds: trimmed.durationSeconds };
+  } catch (error) {
+    await fs.rm(partialPath, { force: true });
+    throw error;
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Thin wrappers around the ffmpeg and ffprobe binaries
+ */
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// ffmpeg reports progress on stderr; long meetings produce a lot of it
+const MAX_BUFFER = 50 * 1024 * 1024;
+
+/**
+ * Run ffmpeg with the given arguments (never via a shell)
+ * @param {string[]} args - Arguments after `ffmpeg`
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+export async function runFfmpeg(args) {
+  return execFileAsync('ffmpeg', ['-hide_banner', '-nostdin', ...args], { maxBuffer: MAX_BUFFER });
+}
+
+/**
+ * Describe a media file with ffprobe
+ * @param {string} filePath - Media file
+ * @returns {Promise<Object>} - { durationSeconds, formatName, sizeBytes, bitRate, tags, streams, chapters }
+ */
+export async function probeMedia(filePath) {
+  const { stdout } = await execFileAsync('ffprobe', [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    '-show_chapters',
+    filePath
+  ], { maxBuffer: MAX_BUFFER });
+
+  const probe = JSON.parse(stdout);
+  const format = probe.format || {};
+  const duration = parseFloat(format.duration);
+
+  return {
+    durationSeconds: Number.isFinite(duration) ? duration : null,
+    formatName: format.format_name || null,
+    sizeBytes: format.size ? parseInt(format.size, 10) : null,
+    bitRate: format.bit_rate ? parseInt(format.bit_rate, 10) : null,
+    tags: format.tags || {},
+    streams: (probe.streams || []).map(stream => ({
+      index: stream.index,
+      type: stream.codec_type,
+      codec: stream.codec_name,
+      width: stream.width,
+      height: stream.height,
+      sampleRate: stream.sample_rate ? parseInt(stream.sample_rate, 10) : undefined,
+      channels: stream.channels
+    })),
+    chapters: (probe.chapters || []).map(chapter => ({
+      start: parseFloat(chapter.start_time),
+      end: parseFloat(chapter.end_time),
+      title: chapter.tags?.title ?? null
+    }))
+  };
+}
@@ -0,0 +1,251 @@
+/**
+ * Direct downloads of a meeting's media without yt-dlp: single files over
+ * HTTP with Range resume, and HLS playlists fetched segment by segment,
+ * joined and remuxed to MP4.
+ *
+ * Like yt-dlp, work in progress lives next to the output (`<output>.part`
+ * for files, `<output>.hls/` for segments) so a rerun picks it up.
+ */
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import path from 'path';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { runFfmpeg } from './ffmpeg.js';
+import { DownloadInterruptedError } from './ytdlp.js';
+
+async function sizeOf(filePath) {
+  try {
+    return (await fs.stat(filePath)).size;
+  } catch {
+    return 0;
+  }
+}
+
+function rethrowIfAborted(error, signal) {
+  if (signal?.aborted) throw new DownloadInterruptedError();
+  throw error;
+}
+
+/**
+ * Progress in the shape runYtDlp reports
+ */
+function progressTracker(onProgress, totalBytes, startBytes = 0) {
+  const started = Date.now();
+  let downloaded = startBytes;
+
+  return (bytes) => {
+    downloaded += bytes;
+    if (!onProgress) return;
+    const seconds = (Date.now() - started) / 1000;
+    const speed = seconds > 0 ? (downloaded - startBytes) / seconds : null;
+    onProgress({
+      downloadedBytes: downloaded,
+      totalBytes,
+      percent: totalBytes ? Math.min(100, Math.round((downloaded / totalBytes) * 1000) / 10) : null,
+      speed,
+      eta: speed && totalBytes ? Math.round((totalBytes - downloaded) / speed) : null
+    });
+  };
+}
+
+/**
+ * Download one file, continuing `<output>.part` with an HTTP Range request
+ * @param {string} url - File URL
+ * @param {string} outputPath - Final file path
+ * @param {Object} options
+ * @param {Function} [options.onProgress] - Called with { downloadedBytes, totalBytes, percent, speed, eta }
+ * @param {AbortSignal} [options.signal] - Interrupts the download, keeping the partial file
+ */
+export async function downloadFile(url, outputPath, { onProgress, signal } = {}) {
+  const partPath = `${outputPath}.part`;
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+
+  let offset = await sizeOf(partPath);
+  let res;
+  try {
+    res = await fetch(url, {
+      headers: offset > 0 ? { Range: `bytes=${offset}-` } : {},
+      signal
+    });
+  } catch (error) {
+    rethrowIfAborted(error, signal);
+  }
+
+  if (res.status === 416 && offset > 0) {
+    // The partial already holds the whole file
+    await fs.rename(partPath, outputPath);
+    return;
+  }
+  if (!res.ok) {
+    throw new Error(`Video request failed: ${res.status} ${res.statusText}`);
+  }
+  if (res.status !== 206) {
+    // Server ignored the Range header; start over
+    offset = 0;
+  }
+
+  const length = parseInt(res.headers.get('content-length') || '0', 10);
+  const totalBytes = length ? offset + length : null;
+  const track = progressTracker(onProgress, totalBytes, offset);
+
+  try {
+    await pipeline(
+      Readable.fromWeb(res.body),
+      new Transform({
+        transform(chunk, encoding, callback) {
+          track(chunk.length);
+          callback(null, chunk);
+        }
+      }),
+      createWriteStream(partPath, { flags: offset > 0 ? 'a' : 'w' }),
+      { signal }
+    );
+  } catch (error) {
+    rethrowIfAborted(error, signal);
+  }
+
+  const written = await sizeOf(partPath);
+  if (totalBytes && written !== totalBytes) {
+    throw new Error(`Video download incomplete: ${written} of ${totalBytes} bytes`);
+  }
+
+  await fs.rename(partPath, outputPath);
+}
+
+/**
+ * Split an m3u8 playlist into its tags and URIs
+ */
+export function parsePlaylist(text, playlistUrl) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines[0] !== '#EXTM3U') {
+    throw new Error(`Not an HLS playlist: ${playlistUrl}`);
+  }
+
+  const variants = [];
+  const segments = [];
+  let init = null;
+  let encrypted = false;
+  let ended = false;
+  let pendingVariant = null;
+
+  for (const line of lines.slice(1)) {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const bandwidth = line.match(/BANDWIDTH=(\d+)/);
+      pendingVariant = { bandwidth: bandwidth ? parseInt(bandwidth[1], 10) : 0 };
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const uri = line.match(/URI="([^"]+)"/);
+      if (uri) init = new URL(uri[1], playlistUrl).href;
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      encrypted = encrypted || !/METHOD=NONE/.test(line);
+    } else if (line === '#EXT-X-ENDLIST') {
+      ended = true;
+    } else if (!line.startsWith('#')) {
+      const uri = new URL(line, playlistUrl).href;
+      if (pendingVariant) {
+        variants.push({ ...pendingVariant, url: uri });
+        pendingVariant = null;
+      } else {
+        segments.push(uri);
+      }
+    }
+  }
+
+  return { variants, segments, init, encrypted, ended };
+}
+
+async function fetchText(url, signal) {
+  const res = await fetch(url, { signal });
+  if (!res.ok) {
+    throw new Error(`Playlist request failed: ${res.status} ${res.statusText} (${url})`);
+  }
+  return res.text();
+}
+
+async function fetchSegment(url, segmentPath, signal) {
+  const res = await fetch(url, { signal });
+  if (!res.ok) {
+    throw new Error(`Segment request failed: ${res.status} ${res.statusText} (${url})`);
+  }
+  const data = Buffer.from(await res.arrayBuffer());
+  // Written whole then renamed, so a segment on disk is always complete
+  await fs.writeFile(`${segmentPath}.tmp`, data);
+  await fs.rename(`${segmentPath}.tmp`, segmentPath);
+  return data.length;
+}
+
+/**
+ * Download an HLS stream (highest bandwidth variant) and remux it to MP4.
+ * Segments already in `<output>.hls/` are kept, so a rerun resumes.
+ * @param {string} url - Master or media playlist URL
+ * @param {string} outputPath - Final MP4 path
+ * @param {Object} options
+ * @param {Function} [options.onProgress] - Called with { downloadedBytes, percent, ... }
+ * @param {AbortSignal} [options.signal] - Interrupts the download, keeping finished segments
+ * @returns {Promise<{segments: number}>}
+ */
+export async function downloadHls(url, outputPath, { onProgress, signal } = {}) {
+  const segmentDir = `${outputPath}.hls`;
+
+  try {
+    let playlistUrl = url;
+    let playlist = parsePlaylist(await fetchText(playlistUrl, signal), playlistUrl);
+
+    if (playlist.variants.length > 0) {
+      const best = playlist.variants.reduce((a, b) => (b.bandwidth > a.bandwidth ? b : a));
+      playlistUrl = best.url;
+      playlist = parsePlaylist(await fetchText(playlistUrl, signal), playlistUrl);
+    }
+
+    if (playlist.encrypted) {
+      throw new Error('HLS stream is encrypted; use the yt-dlp strategy');
+    }
+    if (!playlist.ended) {
+      throw new Error('HLS playlist has no #EXT-X-ENDLIST; the stream is still live');
+    }
+    if (playlist.segments.length === 0) {
+      throw new Error('HLS playlist has no segments');
+    }
+
+    await fs.mkdir(segmentDir, { recursive: true });
+    const parts = playlist.init ? [{ url: playlist.init, name: 'init' }] : [];
+    playlist.segments.forEach((segmentUrl, index) => {
+      parts.push({ url: segmentUrl, name: `segment${String(index).padStart(6, '0')}` });
+    });
+
+    let downloadedBytes = 0;
+    let done = 0;
+    for (const part of parts) {
+      const partPath = path.join(segmentDir, part.name);
+      const existing = await sizeOf(partPath);
+      downloadedBytes += existing || await fetchSegment(part.url, partPath, signal);
+      done++;
+
+      onProgress?.({
+        downloadedBytes,
+        totalBytes: null,
+        percent: Math.round((done / parts.length) * 1000) / 10,
+        speed: null,
+        eta: null
+      });
+    }
+
+    // TS and fMP4 segments both join by plain concatenation; ffmpeg then
+    // rewrites the result as a regular MP4
+    const joinedPath = path.join(segmentDir, 'joined');
+    const joined = createWriteStream(joinedPath);
+    for (const part of parts) {
+      await pipeline(Readable.from([await fs.readFile(path.join(segmentDir, part.name))]), joined, { end: false });
+    }
+    await new Promise((resolve, reject) => joined.end(error => (error ? reject(error) : resolve())));
+
+    const partialPath = `${outputPath}.partial.mp4`;
+    await runFfmpeg(['-i', joinedPath, '-map', '0:v', '-map', '0:a?', '-c', 'copy', '-movflags', '+faststart', '-y', partialPath]);
+    await fs.rename(partialPath, outputPath);
+    await fs.rm(segmentDir, { recursive: true, force: true });
+
+    return { segments: playlist.segments.length };
+  } catch (error) {
+    rethrowIfAborted(error, signal);
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Sanity checks on a downloaded video before the workflow builds on it.
+ * A truncated or empty file would otherwise flow through extract and upload.
+ */
+import fs from 'fs/promises';
+import { probeMedia } from './ffmpeg.js';
+
+export const MIN_VIDEO_SECONDS = parseInt(process.env.MIN_VIDEO_SECONDS) || 60;
+// Bookmarks are placed by hand and can run a little past the recording
+export const BOOKMARK_TOLERANCE_SECONDS = 60;
+
+export const MediaProblems = {
+  MISSING: 'missing',
+  EMPTY: 'empty',
+  UNREADABLE: 'unreadable',
+  NO_VIDEO_STREAM: 'no_video_stream',
+  NO_DURATION: 'no_duration',
+  TOO_SHORT: 'too_short',
+  TRUNCATED: 'truncated'
+};
+
+/**
+ * Thrown when a downloaded file is not a usable recording. Always worth a
+ * fresh download, so callers should retry rather than fail the meeting.
+ */
+export class MediaValidationError extends Error {
+  constructor(problem, message, details = {}) {
+    super(message);
+    this.name = 'MediaValidationError';
+    this.code = 'MEDIA_INVALID';
+    this.problem = problem;
+    this.retryable = true;
+    this.details = details;
+  }
+}
+
+/**
+ * Latest point in the video the agenda bookmarks refer to
+ * @param {Array|null} bookmarks - Bookmarks with TimeStart/TimeEnd (ms)
+ * @returns {{lastStart: number, lastEnd: number}|null} - Seconds
+ */
+export function bookmarkExtent(bookmarks) {
+  if (!bookmarks || bookmarks.length === 0) return null;
+
+  const starts = bookmarks.map(bookmark => bookmark.TimeStart).filter(Number.isFinite);
+  const ends = bookmarks.map(bookmark => bookmark.TimeEnd).filter(Number.isFinite);
+  if (starts.length === 0) return null;
+
+  const lastStart = Math.max(...starts) / 1000;
+  return { lastStart, lastEnd: Math.max(lastStart, ...ends.map(end => end / 1000)) };
+}
+
+function summarize(probe, sizeBytes) {
+  const video = probe.streams.find(stream => stream.type === 'video');
+  const audio = probe.streams.find(stream => stream.type === 'audio');
+
+  return {
+    duration_seconds: probe.durationSeconds,
+    size_bytes: sizeBytes,
+    format: probe.formatName,
+    bit_rate: probe.bitRate,
+    video_codec: video?.codec ?? null,
+    width: video?.width ?? null,
+    height: video?.height ?? null,
+    audio_codec: audio?.codec ?? null,
+    audio_sample_rate: audio?.sampleRate ?? null,
+    audio_channels: audio?.channels ?? null,
+    streams: probe.streams.length
+  };
+}
+
+/**
+ * Probe a downloaded video and check it is plausibly the whole meeting
+ * @param {string} filePath - Downloaded video
+ * @param {Object} options
+ * @param {Array} [options.bookmarks] - Agenda bookmarks, to check the video reaches them
+ * @returns {Promise<Object>} - Probe summary (duration, size, codecs, ...)
+ * @throws {MediaValidationError}
+ */
+export async function validateVideo(filePath, { bookmarks = null } = {}) {
+  let stats;
+  try {
+    stats = await fs.stat(filePath);
+  } catch (error) {
+    throw new MediaValidationError(MediaProblems.MISSING, `Downloaded file not found: ${filePath}`);
+  }
+
+  if (stats.size === 0) {
+    throw new MediaValidationError(MediaProblems.EMPTY, `Downloaded file is empty: ${filePath}`, { size_bytes: 0 });
+  }
+
+  let probe;
+  try {
+    probe = await probeMedia(filePath);
+  } catch (error) {
+    // A missing ffprobe says nothing about the file
+    if (error.code === 'ENOENT') throw error;
+    throw new MediaValidationError(MediaProblems.UNREADABLE, `ffprobe could not read ${filePath}: ${error.stderr?.trim() || error.message}`, {
+      size_bytes: stats.size
+    });
+  }
+
+  const summary = summarize(probe, stats.size);
+  const extent = bookmarkExtent(bookmarks);
+  if (extent) {
+    summary.last_bookmark_start = extent.lastStart;
+    summary.last_bookmark_end = extent.lastEnd;
+  }
+
+  if (!summary.video_codec) {
+    throw new MediaValidationError(MediaProblems.NO_VIDEO_STREAM, 'Downloaded file has no video stream', summary);
+  }
+  if (!summary.duration_seconds) {
+    throw new MediaValidationError(MediaProblems.NO_DURATION, 'Downloaded file reports no duration', summary);
+  }
+  if (summary.duration_seconds < MIN_VIDEO_SECONDS) {
+    throw new MediaValidationError(MediaProblems.TOO_SHORT, `Video is only ${summary.duration_seconds}s long (minimum ${MIN_VIDEO_SECONDS}s)`, summary);
+  }
+  if (extent && summary.duration_seconds < extent.lastEnd - BOOKMARK_TOLERANCE_SECONDS) {
+    throw new MediaValidationError(
+      MediaProblems.TRUNCATED,
+      `Video ends at ${summary.duration_seconds}s but the agenda is bookmarked to ${extent.lastEnd}s`,
+      summary
+    );
+  }
+
+  return summary;
+}
@@ -0,0 +1,152 @@
+/**
+ * Meetings recorded in several files (e.g. before and after a recess).
+ *
+ * The parts are placed end to end on one meeting timeline. An ffconcat list
+ * (RAW_VIDEO_PARTS) lets ffmpeg read them as a single input, so audio and
+ * the transcript follow that timeline whether or not the parts are joined
+ * into RAW_VIDEO.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { pathFor, StorageTypes } from '../storage/paths.js';
+import { runFfmpeg, probeMedia } from './ffmpeg.js';
+
+// Copying streams can move each part's end by a frame or two
+export const JOIN_TOLERANCE_SECONDS_PER_PART = 1;
+
+export const PartUploadModes = {
+  JOINED: 'joined',
+  SERIES: 'series'
+};
+
+// Publish a multi-part meeting as one joined video or as a linked series of its parts
+export const PART_UPLOAD_MODE = process.env.VIDEO_PARTS_UPLOAD === PartUploadModes.SERIES
+  ? PartUploadModes.SERIES
+  : PartUploadModes.JOINED;
+
+// Joining can only be skipped when the parts are published separately
+export const JOIN_PARTS = PART_UPLOAD_MODE === PartUploadModes.JOINED || process.env.VIDEO_PARTS_JOIN !== 'false';
+
+/**
+ * Place parts end to end
+ * @param {Array} parts - Parts in order, with duration_seconds
+ * @returns {Array} - The parts with offset_seconds
+ */
+export function withOffsets(parts) {
+  let offset = 0;
+  return parts.map(part => {
+    const placed = { ...part, offset_seconds: offset };
+    offset += part.duration_seconds;
+    return placed;
+  });
+}
+
+/**
+ * Write the concat list for a meeting's parts
+ * @param {string} meetingId - Meeting ID
+ * @param {number} count - Number of parts
+ * @returns {Promise<string>} - Path of the list, usable as an ffmpeg input
+ */
+export async function writeConcatList(meetingId, count) {
+  const listPath = pathFor(StorageTypes.RAW_VIDEO_PARTS, meetingId);
+  const lines = ['ffconcat version 1.0'];
+
+  for (let part = 1; part <= count; part++) {
+    // Names relative to the list keep the concat demuxer in safe mode
+    lines.push(`file '${path.basename(pathFor(StorageTypes.RAW_VIDEO_PART, meetingId, { part }))}'`);
+  }
+
+  await fs.mkdir(path.dirname(listPath), { recursive: true });
+  await fs.writeFile(listPath, lines.join('\n') + '\n');
+  return listPath;
+}
+
+/**
+ * Join a meeting's parts into RAW_VIDEO without re-encoding
+ * @param {string} meetingId - Meeting ID
+ * @param {Array} parts - Parts in order, with duration_seconds
+ * @returns {Promise<{outputPath: string, durationSeconds: number}>}
+ * @throws {Error} - When ffmpeg fails or the joined video is not as long as the parts
+ */
+export async function joinVideoParts(meetingId, parts) {
+  const listPath = await writeConcatList(meetingId, parts.length);
+  const outputPath = pathFor(StorageTypes.RAW_VIDEO, meetingId);
+  const partialPath = `${outputPath}.partial.mp4`;
+  const expectedSeconds = parts.reduce((total, part) => total + part.duration_seconds, 0);
+
+  console.log(JSON.stringify({
+    message: 'Joining video parts',
+    meeting_id: meetingId,
+    parts: parts.length,
+    expected_seconds: expectedSeconds,
+    output_path: outputPath,
+    step: 'video_parts_join'
+  }));
+
+  try {
+    await runFfmpeg([
+      '-i', listPath,
+      '-map', '0:v', '-map', '0:a?',
+      '-c', 'copy',
+      '-movflags', '+faststart',
+      '-y', partialPath
+    ]);
+
+    const joined = await probeMedia(partialPath);
+    const drift = Math.abs((joined.durationSeconds ?? 0) - expectedSeconds);
+    if (drift > JOIN_TOLERANCE_SECONDS_PER_PART * parts.length) {
+      throw new Error(`Joined video is ${joined.durationSeconds}s but its parts add up to ${expectedSeconds}s`);
+    }
+
+    await fs.rename(partialPath, outputPath);
+
+    console.log(JSON.stringify({
+      message: 'Video parts joined',
+      meeting_id: meetingId,
+      duration_seconds: joined.durationSeconds,
+      output_path: outputPath,
+      step: 'video_parts_join'
+    }));
+
+    return { outputPath, durationSeconds: joined.durationSeconds };
+  } finally {
+    await fs.rm(partialPath, { force: true });
+  }
+}
+
+/**
+ * One part's share of a transcript made on the meeting's timeline, timed
+ * from the start of that part
+ * @param {Object} transcript - WhisperX JSON (`segments`, each with `words`)
+ * @param {Object} part - Part with part_index, duration_seconds and offset_seconds
+ * @returns {Object}
+ */
+export function transcriptForPart(transcript, part) {
+  const start = part.offset_seconds;
+  const end = part.offset_seconds + part.duration_seconds;
+  const shift = (timed) => ({
+    ...timed,
+    ...(timed.start !== undefined && { start: Math.max(0, timed.start - start) }),
+    ...(timed.end !== undefined && { end: Math.min(part.duration_seconds, timed.end - start) })
+  });
+  // Untimed words belong with their segment
+  const overlaps = (timed) => timed.start === undefined || (timed.start < end && (timed.end ?? timed.start) > start);
+
+  const segments = (transcript.segments || [])
+    .filter(overlaps)
+    .map(segment => ({
+      ...shift(segment),
+      ...(segment.words && { words: segment.words.filter(overlaps).map(shift) })
+    }));
+
+  return {
+    ...transcript,
+    segments,
+    ...(transcript.word_segments && { word_segments: transcript.word_segments.filter(overlaps).map(shift) }),
+    part: {
+      index: part.part_index,
+      offset_seconds: part.offset_seconds,
+      duration_seconds: part.duration_seconds
+    }
+  };
+}
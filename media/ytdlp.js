@@ -0,0 +1,211 @@
+/**
+ * yt-dlp runner with streamed progress, resumable partial files and clean
+ * interruption. yt-dlp keeps an interrupted download as `<output>.part`
+ * (plus `.ytdl` state and `.part-FragN` pieces for fragmented streams) and
+ * `--continue` picks it up on the next run.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { spawn } from 'child_process';
+
+// A yt_dlp/__main__.py path runs a source checkout with python3
+const YTDLP_PATH = process.env.YTDLP_PATH || 'yt-dlp';
+
+// Partial files older than this are from a download nobody is coming back for
+export const PARTIAL_MAX_AGE_MS = (parseInt(process.env.PARTIAL_MAX_AGE_HOURS) || 48) * 60 * 60 * 1000;
+
+// yt-dlp gets this long to tidy up after SIGINT before it is killed
+const INTERRUPT_GRACE_MS = 10000;
+const STDERR_TAIL_BYTES = 64 * 1024;
+
+const PROGRESS_PREFIX = '[gnv-progress]';
+const PROGRESS_TEMPLATE = `download:${PROGRESS_PREFIX} ` + [
+  'downloaded_bytes',
+  'total_bytes',
+  'total_bytes_estimate',
+  'fragment_index',
+  'fragment_count',
+  'speed',
+  'eta'
+].map(field => `%(progress.${field})s`).join(' ');
+
+const PARTIAL_FILE_PATTERN = /\.(part|ytdl)$|\.part-Frag\d+(\.part)?$/;
+const RESUME_FAILURE_PATTERN = /HTTP Error 416|Requested Range Not Satisfiable|unable to resume|did not get any data blocks/i;
+
+/**
+ * Thrown when a download was stopped on purpose (worker shutdown). The
+ * partial file is kept, so the job should be requeued rather than failed.
+ */
+export class DownloadInterruptedError extends Error {
+  constructor(message = 'Download interrupted') {
+    super(message);
+    this.name = 'DownloadInterruptedError';
+    this.code = 'DOWNLOAD_INTERRUPTED';
+    this.retryable = true;
+  }
+}
+
+function numberOrNull(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Read one line of our progress template
+ * @returns {Object|null} - { downloadedBytes, totalBytes, percent, speed, eta }, or null for other output
+ */
+export function parseProgressLine(line) {
+  const start = line.indexOf(PROGRESS_PREFIX);
+  if (start === -1) return null;
+
+  const [downloaded, total, estimate, fragmentIndex, fragmentCount, speed, eta] = line
+    .slice(start + PROGRESS_PREFIX.length)
+    .trim()
+    .split(/\s+/)
+    .map(numberOrNull);
+
+  const totalBytes = total ?? estimate;
+  let percent = null;
+  if (downloaded !== null && totalBytes) {
+    percent = (downloaded / totalBytes) * 100;
+  } else if (fragmentIndex !== null && fragmentCount) {
+    percent = (fragmentIndex / fragmentCount) * 100;
+  }
+
+  return {
+    downloadedBytes: downloaded,
+    totalBytes,
+    percent: percent === null ? null : Math.min(100, Math.round(percent * 10) / 10),
+    speed,
+    eta
+  };
+}
+
+/**
+ * Partial download files belonging to an output path
+ * @param {string} outputPath - Final file yt-dlp writes
+ * @returns {Promise<Array<{path: string, size: number, mtimeMs: number}>>}
+ */
+export async function findPartialFiles(outputPath) {
+  const dir = path.dirname(outputPath);
+  const stem = path.basename(outputPath, path.extname(outputPath));
+
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch {
+    return [];
+  }
+
+  const partials = [];
+  for (const name of names) {
+    if (!name.startsWith(stem) || !PARTIAL_FILE_PATTERN.test(name)) continue;
+    const filePath = path.join(dir, name);
+    try {
+      const stats = await fs.stat(filePath);
+      partials.push({ path: filePath, size: stats.size, mtimeMs: stats.mtimeMs });
+    } catch {
+      // Removed by yt-dlp while we were looking
+    }
+  }
+  return partials;
+}
+
+/**
+ * Delete partial download files for an output path
+ * @param {string} outputPath - Final file yt-dlp writes
+ * @param {Object} options
+ * @param {number} [options.olderThanMs] - Only delete files untouched for this long
+ * @returns {Promise<string[]>} - Deleted paths
+ */
+export async function removePartialFiles(outputPath, { olderThanMs = 0 } = {}) {
+  const cutoff = Date.now() - olderThanMs;
+  const removed = [];
+
+  for (const partial of await findPartialFiles(outputPath)) {
+    if (olderThanMs && partial.mtimeMs > cutoff) continue;
+    await fs.rm(partial.path, { force: true });
+    removed.push(partial.path);
+  }
+  return removed;
+}
+
+/**
+ * Whether yt-dlp failed because its partial file could not be continued
+ */
+export function isResumeFailure(error) {
+  return RESUME_FAILURE_PATTERN.test(error.stderr || error.message);
+}
+
+/**
+ * Download a URL with yt-dlp
+ * @param {string} url - Video URL
+ * @param {string} outputPath - Final file path
+ * @param {Object} options
+ * @param {Function} [options.onProgress] - Called with parsed progress
+ * @param {AbortSignal} [options.signal] - Interrupts the download, keeping the partial file
+ * @param {boolean} [options.resume] - Continue an existing partial file (default true)
+ * @returns {Promise<{stderr: string}>}
+ * @throws {DownloadInterruptedError} - When the signal fired
+ */
+export function runYtDlp(url, outputPath, { onProgress, signal, resume = true } = {}) {
+  const args = [
+    url,
+    '--output', outputPath,
+    resume ? '--continue' : '--no-continue',
+    '--newline',
+    '--progress-template', PROGRESS_TEMPLATE
+  ];
+  const [command, commandArgs] = YTDLP_PATH.endsWith('.py')
+    ? ['python3', [YTDLP_PATH, ...args]]
+    : [YTDLP_PATH, args];
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DownloadInterruptedError());
+      return;
+    }
+
+    const child = spawn(command, commandArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stderr = '';
+    let interrupted = false;
+    let killTimer = null;
+
+    const interrupt = () => {
+      interrupted = true;
+      child.kill('SIGINT');
+      killTimer = setTimeout(() => child.kill('SIGKILL'), INTERRUPT_GRACE_MS);
+    };
+    signal?.addEventListener('abort', interrupt, { once: true });
+
+    readline.createInterface({ input: child.stdout }).on('line', line => {
+      const progress = parseProgressLine(line);
+      if (progress && onProgress) onProgress(progress);
+    });
+
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-STDERR_TAIL_BYTES);
+    });
+
+    child.on('error', error => {
+      signal?.removeEventListener('abort', interrupt);
+      reject(error);
+    });
+
+    child.on('close', (code, exitSignal) => {
+      clearTimeout(killTimer);
+      signal?.removeEventListener('abort', interrupt);
+
+      if (interrupted) {
+        reject(new DownloadInterruptedError());
+      } else if (code !== 0) {
+        const error = new Error(`yt-dlp exited with ${code ?? exitSignal}: ${stderr.trim().split('\n').pop() || 'no output'}`);
+        error.stderr = stderr;
+        reject(error);
+      } else {
+        resolve({ stderr });
+      }
+    });
+  });
+}
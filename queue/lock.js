@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import os from 'os';
+import { connection } from './config.js';
+
+const KEY_PREFIX = 'gnv-meetings:lock:';
+
+// Lock shared by discovery, backfill and manual job triggers
+export const DISCOVERY_LOCK = 'discovery';
+
+// A crashed holder's lease lapses after this long
+const DEFAULT_TTL_MS = parseInt(process.env.LOCK_TTL_MS) || 60000;
+
+// How long --wait blocks before giving up
+const DEFAULT_WAIT_TIMEOUT_MS = parseInt(process.env.LOCK_WAIT_TIMEOUT_MS) || 30 * 60 * 1000;
+
+const RETRY_DELAY_MS = 5000;
+
+// Only the holder (matching token) may extend or release a lease
+const EXTEND_SCRIPT = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('pexpire', KEYS[1], ARGV[2])
+  end
+  return 0
+`;
+
+const RELEASE_SCRIPT = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+  end
+  return 0
+`;
+
+export class LockHeldError extends Error {
+  constructor(name, holder) {
+    super(`Lock "${name}" is held by ${holder || 'another process'}`);
+    this.name = 'LockHeldError';
+    this.code = 'LOCK_HELD';
+    this.lockName = name;
+    this.holder = holder;
+  }
+}
+
+/**
+ * Acquire a lease lock in Redis. The lease is renewed in the background
+ * while held, and expires on its own if the holder dies.
+ * @param {string} name - Lock name
+ * @param {Object} options
+ * @param {boolean} [options.wait] - Block until the lock frees up instead of failing
+ * @param {number} [options.waitTimeoutMs] - Give up waiting after this long
+ * @param {number} [options.ttlMs] - Lease length
+ * @returns {Promise<Object>} - Lease with `release()` and a `lost` flag
+ * @throws {LockHeldError} - When the lock is held (and not waiting, or the wait timed out)
+ */
+export async function acquireLock(name, options = {}) {
+  const {
+    wait = false,
+    waitTimeoutMs = DEFAULT_WAIT_TIMEOUT_MS,
+    ttlMs = DEFAULT_TTL_MS
+  } = options;
+
+  const key = KEY_PREFIX + name;
+  // Readable holder identity helps when inspecting a stuck lock in redis-cli
+  const token = `${os.hostname()}:${process.pid}:${crypto.randomBytes(6).toString('hex')}`;
+  const deadline = Date.now() + waitTimeoutMs;
+  let announcedWait = false;
+
+  while (true) {
+    const acquired = await connection.set(key, token, 'PX', ttlMs, 'NX');
+    if (acquired) break;
+
+    const holder = await connection.get(key);
+    if (!wait || Date.now() >= deadline) {
+      throw new LockHeldError(name, holder);
+    }
+
+    if (!announcedWait) {
+      console.log(JSON.stringify({
+        message: 'Waiting for lock',
+        lock: name,
+        holder,
+        step: 'lock_wait'
+      }));
+      announcedWait = true;
+    }
+    await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+  }
+
+  const lease = {
+    name,
+    token,
+    lost: false,
+    async release() {
+      clearInterval(renewal);
+      if (lease.lost) return;
+      await connection.eval(RELEASE_SCRIPT, 1, key, token);
+    }
+  };
+
+  const renewal = setInterval(async () => {
+    try {
+      const extended = await connection.eval(EXTEND_SCRIPT, 1, key, token, ttlMs);
+      if (!extended) {
+        lease.lost = true;
+        clearInterval(renewal);
+        console.error(JSON.stringify({
+          message: 'Lock lease lost',
+          lock: name,
+          step: 'lock_lost'
+        }));
+      }
+    } catch (error) {
+      console.error(JSON.stringify({
+        message: 'Lock renewal failed',
+        lock: name,
+        error: error.message,
+        step: 'lock_renew_error'
+      }));
+    }
+  }, Math.floor(ttlMs / 3));
+  renewal.unref();
+
+  console.log(JSON.stringify({
+    message: 'Acquired lock',
+    lock: name,
+    ttl_ms: ttlMs,
+    step: 'lock_acquired'
+  }));
+
+  return lease;
+}
+
+/**
+ * Stop a long-running holder once its lease has lapsed, before it writes more
+ * @param {Object|null} lease - Lease from acquireLock, or null when running unlocked
+ * @param {string} context - Where the holder is stopping, for the error message
+ * @throws {Error} - When the lease was lost
+ */
+export function assertLeaseHeld(lease, context) {
+  if (lease?.lost) {
+    throw new Error(`Lock "${lease.name}" lease lost, stopping ${context}`);
+  }
+}
+
+/**
+ * Run a function while holding a lock
+ * @param {string} name - Lock name
+ * @param {Function} fn - Called with the lease
+ * @param {Object} options - acquireLock options, plus:
+ * @param {boolean} [options.skipIfLocked] - Return without running fn when the lock is held
+ * @returns {Promise<*>} - fn's result, or undefined when skipped
+ */
+export async function withLock(name, fn, options = {}) {
+  let lease;
+  try {
+    lease = await acquireLock(name, options);
+  } catch (error) {
+    if (error instanceof LockHeldError && options.skipIfLocked) {
+      console.log(JSON.stringify({
+        message: 'Lock held, skipping',
+        lock: name,
+        holder: error.holder,
+        step: 'lock_skip'
+      }));
+      return undefined;
+    }
+    throw error;
+  }
+
+  try {
+    return await fn(lease);
+  } finally {
+    await lease.release();
+  }
+}
+
+/**
+ * Lock options from the shared --wait / --skip-if-locked CLI flags
+ */
+export function lockOptionsFromFlags(values) {
+  return {
+    wait: Boolean(values.wait),
+    skipIfLocked: Boolean(values['skip-if-locked'])
+  };
+}
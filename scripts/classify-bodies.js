@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { initializeDatabase, updateMeetingFields, getUnmatchedTitles } from '../db/init.js';
+import { classifyMeeting } from '../bodies/classifier.js';
+
+/**
+ * Re-run the body classifier over every stored meeting, e.g. after
+ * changing bodies/config.js, and list the titles that still match nothing.
+ */
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      'dry-run': {
+        type: 'boolean',
+        short: 'd'
+      },
+      help: {
+        type: 'boolean',
+        short: 'h'
+      }
+    },
+    allowPositionals: false
+  });
+
+  if (values.help) {
+    console.log(`
+Classify stored meetings into governing bodies
+
+Usage: node scripts/classify-bodies.js [options]
+
+Options:
+  -d, --dry-run   Show what would change without updating the database
+  -h, --help      Show this help
+    `);
+    return;
+  }
+
+  const dryRun = values['dry-run'];
+  const db = await initializeDatabase();
+
+  try {
+    const meetings = await db.all('SELECT id, source, title, body_id, is_special FROM meetings');
+    let updated = 0;
+
+    for (const meeting of meetings) {
+      const { bodyId, isSpecial } = classifyMeeting(meeting);
+      if (meeting.body_id === bodyId && Boolean(meeting.is_special) === isSpecial) continue;
+
+      console.log(JSON.stringify({
+        message: 'Meeting body changed',
+        meeting_id: meeting.id,
+        title: meeting.title,
+        from_body: meeting.body_id,
+        to_body: bodyId,
+        is_special: isSpecial,
+        dry_run: dryRun,
+        step: 'classify_bodies'
+      }));
+
+      if (!dryRun) {
+        await updateMeetingFields(db, meeting.id, { body_id: bodyId, is_special: isSpecial ? 1 : 0 });
+      }
+      updated++;
+    }
+
+    // In a dry run the table still holds the old classification
+    const unmatched = dryRun
+      ? summarizeUnmatched(meetings)
+      : await getUnmatchedTitles(db);
+
+    console.log(JSON.stringify({
+      message: 'Classification complete',
+      total: meetings.length,
+      updated,
+      unmatched_titles: unmatched,
+      dry_run: dryRun,
+      step: 'classify_bodies'
+    }));
+  } finally {
+    await db.close();
+  }
+}
+
+function summarizeUnmatched(meetings) {
+  const counts = new Map();
+  for (const meeting of meetings) {
+    if (classifyMeeting(meeting).bodyId) continue;
+    const key = `${meeting.source}\u0000${meeting.title}`;
+    const entry = counts.get(key) || { title: meeting.title, source: meeting.source, meeting_count: 0 };
+    entry.meeting_count++;
+    counts.set(key, entry);
+  }
+  return [...counts.values()].sort((a, b) => b.meeting_count - a.meeting_count || a.title.localeCompare(b.title));
+}
+
+main().catch(error => {
+  console.error(JSON.stringify({
+    message: 'Classification error',
+    error: error.message,
+    stack: error.stack,
+    step: 'classify_bodies'
+  }));
+  process.exit(1);
+});
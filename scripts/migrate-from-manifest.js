@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 import { initializeDatabase, insertMeeting, updateMeetingState, MeetingStates } from '../db/init.js';
+import { getSource } from '../sources/index.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -16,13 +17,15 @@ async function migrateFromManifest() {
     console.log(`Found ${manifest.processedMeetings.length} meetings in manifest`);
     
     const db = await initializeDatabase();
+    const source = getSource();
     
     for (const entry of manifest.processedMeetings) {
       const meeting = {
         id: entry.id,
         title: entry.title || 'Unknown',
         date: entry.date || entry.processedAt,
-        meeting_url: `https://pub-cityofgainesville.escribemeetings.com/Meeting.aspx?Id=${entry.id}`,
+        source: source.id,
+        meeting_url: source.meetingUrl(entry.id),
         has_video: true
       };
       
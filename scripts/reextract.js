@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { initializeDatabase, getMeeting, updateMeetingFields, getVideoParts } from '../db/init.js';
+import { extractMeetingData, hasRawAgenda } from '../agenda/extract.js';
+
+/**
+ * Regenerate agenda_data, chapters and metadata for stored meetings, either
+ * from the saved raw agenda (--from-raw, no network) or by re-fetching it.
+ * Workflow state is left alone and YouTube is not touched.
+ */
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      id: {
+        type: 'string',
+        short: 'i',
+        multiple: true
+      },
+      all: {
+        type: 'boolean',
+        short: 'a'
+      },
+      'from-raw': {
+        type: 'boolean',
+        short: 'r'
+      },
+      help: {
+        type: 'boolean',
+        short: 'h'
+      }
+    },
+    allowPositionals: false
+  });
+
+  if (values.help || (!values.id && !values.all)) {
+    console.log(`
+Re-extract agenda data and chapters for stored meetings
+
+Usage: node scripts/reextract.js (--id ID ... | --all) [options]
+
+Options:
+  -i, --id ID       Meeting to re-extract (repeatable)
+  -a, --all         Every meeting that has an extracted agenda
+  -r, --from-raw    Use the saved raw agenda only; never fetch
+  -h, --help        Show this help
+
+Examples:
+  node scripts/reextract.js --all --from-raw
+  node scripts/reextract.js --id=1234 --id=5678
+    `);
+    return;
+  }
+
+  const fromRaw = Boolean(values['from-raw']);
+  const db = await initializeDatabase();
+  let succeeded = 0;
+  const failed = [];
+  const skipped = [];
+
+  try {
+    const meetings = values.all
+      ? await db.all('SELECT * FROM meetings WHERE agenda_data IS NOT NULL ORDER BY date ASC')
+      : await Promise.all(values.id.map(id => getMeeting(db, id)));
+
+    for (const [index, meeting] of meetings.entries()) {
+      if (!meeting) {
+        failed.push({ meeting_id: values.id[index], error: 'Meeting not found' });
+        continue;
+      }
+
+      if (fromRaw && !(await hasRawAgenda(meeting.id))) {
+        skipped.push(meeting.id);
+        continue;
+      }
+
+      try {
+        const parts = meeting.video_part_count > 1 ? await getVideoParts(db, meeting.id) : [];
+        const result = await extractMeetingData(meeting, { fromRaw, parts });
+        await updateMeetingFields(db, meeting.id, {
+          agenda_data: JSON.stringify(result.agendaData),
+          chapters_text: result.chaptersText
+        });
+        succeeded++;
+      } catch (error) {
+        failed.push({ meeting_id: meeting.id, error: error.message });
+      }
+    }
+
+    console.log(JSON.stringify({
+      message: 'Re-extraction complete',
+      from_raw: fromRaw,
+      succeeded,
+      skipped_no_raw: skipped,
+      failed,
+      step: 'reextract_complete'
+    }));
+  } finally {
+    await db.close();
+  }
+
+  if (failed.length > 0) {
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error(JSON.stringify({
+    message: 'Re-extraction error',
+    error: error.message,
+    stack: error.stack,
+    step: 'reextract_error'
+  }));
+  process.exit(1);
+});
@@ -1,8 +1,9 @@
 #!/usr/bin/env node
-import { initializeDatabase, getMeeting, updateMeetingState } from '../db/init.js';
-import { restartWorkflow } from '../workflow/orchestrator.js';
+import { initializeDatabase, getMeeting, updateMeetingState, updateMeetingFields } from '../db/init.js';
+import { restartWorkflow, enqueueAudioRetry } from '../workflow/orchestrator.js';
 import { createQueue } from '../queue/config.js';
 import { QUEUE_NAMES } from '../workflow/config.js';
+import { withLock, lockOptionsFromFlags, DISCOVERY_LOCK } from '../queue/lock.js';
 
 async function listMeetings() {
   const db = await initializeDatabase();
@@ -83,9 +84,62 @@ async function triggerFromState(meetingId, state) {
   await db.close();
 }
 
+async function triggerAudio(meetingId) {
+  const db = await initializeDatabase();
+  
+  const meeting = await getMeeting(db, meetingId);
+  await db.close();
+  if (!meeting) {
+    console.error(`Meeting ${meetingId} not found`);
+    return;
+  }
+  
+  console.log(`\nRetrying audio extraction for: ${meeting.title}`);
+  console.log(`Current state: ${meeting.state}, audio: ${meeting.audio_status || 'unknown'}`);
+  
+  const jobId = await enqueueAudioRetry(meetingId);
+  
+  console.log(`✓ Job queued: ${jobId}`);
+}
+
+async function linkAlias(meetingId, originalId) {
+  const db = await initializeDatabase();
+  
+  const meeting = await getMeeting(db, meetingId);
+  const original = await getMeeting(db, originalId);
+  if (!meeting || !original) {
+    console.error(`Meeting ${!meeting ? meetingId : originalId} not found`);
+    await db.close();
+    return;
+  }
+  if (original.alias_of === meetingId) {
+    console.error(`Meeting ${originalId} is already an alias of ${meetingId}`);
+    await db.close();
+    return;
+  }
+  
+  console.log(`\nLinking: ${meeting.title}`);
+  console.log(`To original: ${original.title}`);
+  
+  await updateMeetingFields(db, meetingId, { alias_of: originalId });
+  
+  console.log(`✓ ${meetingId} is now an alias of ${originalId}`);
+  if (!meeting.youtube_video_id) {
+    console.log(`  Run "node trigger-job.js restart ${meetingId} EXTRACTED" to publish it with the original's video`);
+  }
+  
+  await db.close();
+}
+
 async function main() {
-  const args = process.argv.slice(2);
+  const argv = process.argv.slice(2);
+  const args = argv.filter(arg => !arg.startsWith('--'));
   const command = args[0];
+  // Re-queuing a meeting must not race a discovery run changing its state
+  const lock = lockOptionsFromFlags({
+    wait: argv.includes('--wait'),
+    'skip-if-locked': argv.includes('--skip-if-locked')
+  });
   
   try {
     if (!command || command === 'list') {
@@ -96,7 +150,7 @@ async function main() {
         console.error('Usage: node trigger-job.js download <meeting-id>');
         process.exit(1);
       }
-      await triggerDownload(meetingId);
+      await withLock(DISCOVERY_LOCK, () => triggerDownload(meetingId), lock);
     } else if (command === 'restart') {
       const meetingId = args[1];
       const state = args[2] || 'DISCOVERED';
@@ -105,13 +159,32 @@ async function main() {
         console.error('States: DISCOVERED, DOWNLOADED, EXTRACTED, UPLOADED');
         process.exit(1);
       }
-      await triggerFromState(meetingId, state);
+      await withLock(DISCOVERY_LOCK, () => triggerFromState(meetingId, state), lock);
+    } else if (command === 'audio') {
+      const meetingId = args[1];
+      if (!meetingId) {
+        console.error('Usage: node trigger-job.js audio <meeting-id>');
+        process.exit(1);
+      }
+      await triggerAudio(meetingId);
+    } else if (command === 'alias') {
+      const [, meetingId, originalId] = args;
+      if (!meetingId || !originalId) {
+        console.error('Usage: node trigger-job.js alias <meeting-id> <original-id>');
+        process.exit(1);
+      }
+      await linkAlias(meetingId, originalId);
     } else {
       console.log('Usage:');
       console.log('  node trigger-job.js list                    - List all meetings');
       console.log('  node trigger-job.js download <meeting-id>   - Trigger download for a meeting');
       console.log('  node trigger-job.js restart <meeting-id> [state] - Restart from a specific state');
+      console.log('  node trigger-job.js audio <meeting-id>      - Retry audio extraction (resumes diarization)');
+      console.log('  node trigger-job.js alias <meeting-id> <original-id> - Publish a meeting with another meeting\'s video');
       console.log('\nStates: DISCOVERED, DOWNLOADED, EXTRACTED, UPLOADED');
+      console.log('\nFlags (download/restart):');
+      console.log('  --wait             Wait for a running discovery/backfill to finish');
+      console.log('  --skip-if-locked   Exit quietly if discovery/backfill is running');
     }
   } catch (error) {
     console.error('Error:', error);
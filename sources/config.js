@@ -0,0 +1,26 @@
+/**
+ * Meeting sources the pipeline ingests from.
+ *
+ * Each entry is one tenant of a meeting portal. `type` selects the adapter
+ * (see sources/index.js); the remaining fields are passed to it.
+ * To add a tenant, append an entry with a unique `id` - the id is stored on
+ * every meeting row, so never rename an existing one.
+ * `videoStrategies` lists how to download videos, tried in order: 'ytdlp'
+ * or 'native' (the adapter's own resolveVideo, fetched directly). With
+ * 'native' listed, a meeting recorded in several files is downloaded part
+ * by part (the adapter's resolveVideoParts).
+ */
+export const SOURCES = [
+  {
+    id: 'gainesville',
+    type: 'escribe',
+    name: 'City of Gainesville',
+    baseUrl: 'https://pub-cityofgainesville.escribemeetings.com',
+    timezone: 'America/New_York',
+    videoStrategies: ['ytdlp', 'native'],
+    enabled: true
+  }
+];
+
+// Source assigned to meetings discovered before sources were tracked
+export const DEFAULT_SOURCE_ID = 'gainesville';
@@ -0,0 +1,12 @@
+/**
+ * Thrown when a source responds with data we do not know how to read,
+ * usually because the portal changed its API or markup
+ */
+export class UnexpectedResponseError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'UnexpectedResponseError';
+    this.code = 'UNEXPECTED_RESPONSE';
+    this.details = details;
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * Parser for eScribe agenda pages (Meeting.aspx?...&Agenda=Agenda).
+ *
+ * Each agenda item is a `div.AgendaItem.AgendaItem<id>` holding a counter,
+ * title, description and attachment links. Sub-items are nested either inside
+ * their parent item or in a child `div.AgendaItemContainer`. Video bookmarks
+ * are embedded in a script as `Bookmarks: [...]`.
+ */
+import * as cheerio from 'cheerio';
+
+const ITEM_ID_PATTERN = /^AgendaItem(\d+)$/;
+
+// Legislative file numbers at the start of an item title: "2024-1023 Ordinance..."
+// or "File #: 24-103 ...". Bare short pairs like "2024-25 Budget" are not file numbers.
+const FILE_NUMBER_PATTERN = /^\s*(?:File\s*(?:No\.?|#)\s*:?\s*(\d{2,4}-\d{1,6})|(\d{4}-\d{3,6}))\b[\s.:-]*/i;
+
+const RECOMMENDATION_PATTERN = /\bRECOMMEND(?:ATION|ED ACTION)\s*:?\s*([\s\S]+?)(?:\n\s*\n|$)/i;
+
+const ATTACHMENT_HREF_PATTERN = /FileStream\.ashx|DocumentId=/i;
+
+function cleanText(text) {
+  return (text || '').replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function itemIdOf($, element) {
+  const classes = ($(element).attr('class') || '').split(/\s+/);
+  for (const name of classes) {
+    const match = name.match(ITEM_ID_PATTERN);
+    if (match) return parseInt(match[1], 10);
+  }
+  return null;
+}
+
+/**
+ * Video bookmarks embedded in the agenda page
+ * @param {string} html - Agenda page HTML
+ * @returns {Array|null} - Bookmarks, or null when the page has none
+ */
+export function parseBookmarks(html) {
+  const match = html.match(/Bookmarks\s*:\s*\[(.*?)\]/s);
+  if (!match || !match[1]) return null;
+  return JSON.parse(`[${match[1]}]`);
+}
+
+/**
+ * Parse an eScribe agenda page into a tree of agenda items
+ * @param {string} html - Agenda page HTML
+ * @param {Object} options
+ * @param {string} [options.baseUrl] - Portal base URL, for absolute attachment links
+ * @returns {{items: Array, warnings: string[]}} - Top-level items, each with
+ *   `children`, plus notes about structure the page was missing
+ */
+export function parseAgendaPage(html, { baseUrl } = {}) {
+  const $ = cheerio.load(html);
+  const warnings = [];
+  const elements = $('div.AgendaItem').toArray();
+
+  if (elements.length === 0) {
+    warnings.push('No AgendaItem elements found; the page layout may have changed');
+    return { items: [], warnings };
+  }
+
+  const nodes = new Map();
+
+  for (const element of elements) {
+    const id = itemIdOf($, element);
+    if (id === null) {
+      warnings.push(`Agenda item without an AgendaItem<id> class: "${cleanText($(element).text()).slice(0, 60)}"`);
+      continue;
+    }
+
+    nodes.set(element, parseItem($, element, id, { baseUrl, warnings }));
+  }
+
+  const roots = [];
+  let nested = 0;
+
+  for (const [element, node] of nodes) {
+    const parent = parentItemOf($, element);
+    const parentNode = parent ? nodes.get(parent) : null;
+
+    if (parentNode) {
+      node.parentId = parentNode.id;
+      parentNode.children.push(node);
+      nested++;
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const items = nested === 0 ? nestByNumber(roots, warnings) : roots;
+  setDepth(items, 0);
+
+  return { items, warnings };
+}
+
+function parseItem($, element, id, { baseUrl, warnings }) {
+  // Only look at content that belongs to this item, not to nested sub-items
+  const own = (selector) => $(element).find(selector)
+    .filter((_, child) => $(child).closest('div.AgendaItem')[0] === element);
+
+  const titleElement = own('.AgendaItemTitle').first();
+  let title = cleanText(titleElement.find('a').first().text() || titleElement.text());
+  let number = cleanText(own('.AgendaItemCounter').first().text()).replace(/\.$/, '') || null;
+
+  if (!titleElement.length) {
+    warnings.push(`Agenda item ${id} has no AgendaItemTitle`);
+  }
+
+  if (!number) {
+    // Some layouts put the number in the title ("3.a Approval of minutes",
+    // "4. Adjournment"); a lone number or letter needs its "." or ")"
+    const match = title.match(/^(?:([0-9]+(?:\.[0-9a-z]+)+)[.)]?|([0-9]+|[A-Z]|[a-z])[.)])\s+/);
+    if (match) {
+      number = match[1] || match[2];
+      title = title.slice(match[0].length);
+    }
+  }
+
+  let fileNumber = null;
+  const fileMatch = title.match(FILE_NUMBER_PATTERN);
+  if (fileMatch) {
+    fileNumber = fileMatch[1] || fileMatch[2];
+    title = title.slice(fileMatch[0].length).trim() || title;
+  }
+
+  const description = own('.AgendaItemDescription').first();
+  const descriptionText = description.length ? blockText($, description) : '';
+
+  let recommendedAction = cleanText(own('[class*="Recommendation"]').first().text()) || null;
+  if (!recommendedAction) {
+    const match = descriptionText.match(RECOMMENDATION_PATTERN);
+    recommendedAction = match ? cleanText(match[1]) : null;
+  }
+
+  const attachments = own('a')
+    .filter((_, link) => ATTACHMENT_HREF_PATTERN.test($(link).attr('href') || ''))
+    .toArray()
+    .map(link => attachmentFor($, link, baseUrl));
+
+  return {
+    id,
+    number,
+    title,
+    fileNumber,
+    description: cleanText(descriptionText) || null,
+    recommendedAction,
+    attachments,
+    parentId: null,
+    depth: 0,
+    children: []
+  };
+}
+
+// Text with line breaks between paragraphs, so labelled paragraphs stay apart
+function blockText($, element) {
+  const copy = element.clone();
+  copy.find('br').replaceWith('\n');
+  copy.find('p, div, li, tr').each((_, block) => {
+    $(block).append('\n\n');
+  });
+  return copy.text()
+    .replace(/\u00a0/g, ' ')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n\s*/g, '\n\n')
+    .trim();
+}
+
+function attachmentFor($, link, baseUrl) {
+  const href = $(link).attr('href');
+  let url = href;
+  try {
+    url = baseUrl ? new URL(href, `${baseUrl}/`).toString() : href;
+  } catch (error) {
+    // Keep the raw href
+  }
+  const documentId = href.match(/DocumentId=(\d+)/i);
+
+  return {
+    title: cleanText($(link).text()) || cleanText($(link).attr('title')) || null,
+    url,
+    documentId: documentId ? parseInt(documentId[1], 10) : null
+  };
+}
+
+/**
+ * The item an agenda item is nested under: an enclosing AgendaItem, or the
+ * item that owns the enclosing AgendaItemContainer's parent container
+ */
+function parentItemOf($, element) {
+  const enclosing = $(element).parents('div.AgendaItem').first();
+  if (enclosing.length) return enclosing[0];
+
+  const container = $(element).closest('div.AgendaItemContainer');
+  if (!container.length) return null;
+
+  const outer = container.parents('div.AgendaItemContainer').first();
+  if (!outer.length) return null;
+
+  // The owner is the outer container's own item, not one from a nested container
+  const owner = outer.find('div.AgendaItem')
+    .filter((_, candidate) => $(candidate).closest('div.AgendaItemContainer')[0] === outer[0])
+    .first();
+  return owner.length && owner[0] !== element ? owner[0] : null;
+}
+
+/**
+ * Rebuild nesting from dotted item numbers ("3" > "3.1" > "3.1.a") when the
+ * markup is flat
+ */
+function nestByNumber(items, warnings) {
+  if (!items.some(item => item.number && item.number.includes('.'))) {
+    return items;
+  }
+
+  const byNumber = new Map();
+  const roots = [];
+
+  for (const item of items) {
+    const parentNumber = item.number?.includes('.')
+      ? item.number.slice(0, item.number.lastIndexOf('.'))
+      : null;
+    const parent = parentNumber ? byNumber.get(parentNumber) : null;
+
+    if (parent) {
+      item.parentId = parent.id;
+      parent.children.push(item);
+    } else {
+      roots.push(item);
+    }
+    if (item.number) byNumber.set(item.number, item);
+  }
+
+  warnings.push('Agenda markup is flat; nesting was inferred from item numbers');
+  return roots;
+}
+
+function setDepth(items, depth) {
+  for (const item of items) {
+    item.depth = depth;
+    setDepth(item.children, depth + 1);
+  }
+}
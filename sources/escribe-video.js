@@ -0,0 +1,96 @@
+/**
+ * Finds the media behind an eScribe meeting page's video player.
+ *
+ * The player is configured either with plain `<video>`/`<source>` tags or
+ * from a script (`"file": "...m3u8"`, `src: '...mp4'`), depending on the
+ * tenant's streaming provider. Every MP4 or HLS URL found is a candidate.
+ *
+ * A meeting recorded in several files (e.g. before and after a recess) has
+ * one `<video>` element per file, in playback order.
+ */
+import * as cheerio from 'cheerio';
+
+const MEDIA_URL_PATTERN = /(?:https?:)?\/\/[^\s"'<>\\]+?\.(?:m3u8|mp4)(?:\?[^\s"'<>\\]*)?/gi;
+
+function mediaType(url, declaredType) {
+  if (/mpegurl/i.test(declaredType || '') || /\.m3u8(\?|$)/i.test(url)) return 'hls';
+  if (/mp4/i.test(declaredType || '') || /\.mp4(\?|$)/i.test(url)) return 'mp4';
+  return null;
+}
+
+/**
+ * Collects candidate sources by URL, ignoring anything that is not MP4 or HLS
+ */
+function sourceCollector(baseUrl) {
+  const found = new Map();
+
+  const add = (rawUrl, declaredType) => {
+    if (!rawUrl) return;
+    const unescaped = rawUrl.replace(/\\\//g, '/').replace(/&amp;/g, '&').trim();
+    let url;
+    try {
+      url = new URL(unescaped.startsWith('//') ? `https:${unescaped}` : unescaped, baseUrl).href;
+    } catch {
+      return;
+    }
+    const type = mediaType(url, declaredType);
+    if (type && !found.has(url)) found.set(url, { type, url });
+  };
+
+  // A single MP4 before an HLS playlist
+  const sorted = () => [...found.values()].sort((a, b) => (a.type === b.type ? 0 : a.type === 'mp4' ? -1 : 1));
+
+  return { add, sorted };
+}
+
+/**
+ * Media sources referenced by a meeting page, best first (a single MP4
+ * before an HLS playlist)
+ * @param {string} html - Meeting page HTML
+ * @param {Object} options
+ * @param {string} options.baseUrl - Page URL or portal base, for relative URLs
+ * @returns {Array<{type: 'mp4'|'hls', url: string}>}
+ */
+export function parseVideoSources(html, { baseUrl } = {}) {
+  const $ = cheerio.load(html);
+  const { add, sorted } = sourceCollector(baseUrl);
+
+  $('video[src], video source[src], source[src]').each((_, element) => {
+    add($(element).attr('src'), $(element).attr('type'));
+  });
+
+  $('script').each((_, element) => {
+    const text = $(element).html() || '';
+    for (const match of text.replace(/\\\//g, '/').matchAll(MEDIA_URL_PATTERN)) {
+      add(match[0]);
+    }
+  });
+
+  return sorted();
+}
+
+/**
+ * The recording's files in playback order, each with its candidate sources
+ * best first. A page with one player (or only a scripted one) is one part.
+ * @param {string} html - Meeting page HTML
+ * @param {Object} options
+ * @param {string} options.baseUrl - Page URL or portal base, for relative URLs
+ * @returns {Array<Array<{type: 'mp4'|'hls', url: string}>>} - Empty when the page has no video
+ */
+export function parseVideoParts(html, { baseUrl } = {}) {
+  const $ = cheerio.load(html);
+
+  const players = $('video').toArray().map(video => {
+    const { add, sorted } = sourceCollector(baseUrl);
+    add($(video).attr('src'), $(video).attr('type'));
+    $(video).find('source[src]').each((_, source) => {
+      add($(source).attr('src'), $(source).attr('type'));
+    });
+    return sorted();
+  }).filter(sources => sources.length > 0);
+
+  if (players.length > 1) return players;
+
+  const sources = parseVideoSources(html, { baseUrl });
+  return sources.length > 0 ? [sources] : [];
+}
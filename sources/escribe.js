@@ -0,0 +1,231 @@
+/**
+ * Adapter for eScribe meeting portals (pub-<tenant>.escribemeetings.com)
+ */
+import { normalizeMeetingDate, DEFAULT_TIMEZONE } from '../lib/dates.js';
+import { UnexpectedResponseError } from './errors.js';
+import { parseAgendaPage, parseBookmarks } from './escribe-agenda.js';
+import { parseVideoSources, parseVideoParts } from './escribe-video.js';
+
+// Calendar fields every entry must have for us to track it
+const REQUIRED_CALENDAR_FIELDS = ['ID', 'MeetingName', 'StartDate'];
+
+/**
+ * Read the portal's own cancellation flags. Tenants differ in which of these
+ * they populate; title wording is checked separately by discovery.
+ * @returns {{status: string|null, detail: string|null}}
+ */
+function calendarStatus(entry) {
+  if (entry.IsCancelled === true || entry.Cancelled === true) {
+    return { status: 'cancelled', detail: 'cancelled flag set' };
+  }
+
+  const text = entry.MeetingStatus ?? entry.Status;
+  if (typeof text === 'string') {
+    if (/cancel/i.test(text)) return { status: 'cancelled', detail: text };
+    if (/postpone|reschedul/i.test(text)) return { status: 'postponed', detail: text };
+  }
+
+  return { status: null, detail: null };
+}
+
+/**
+ * Create an adapter for one eScribe tenant
+ * @param {Object} config - Entry from sources/config.js
+ * @param {string} config.id - Source ID stored on meeting rows
+ * @param {string} config.name - Human readable name
+ * @param {string} config.baseUrl - Portal base URL, without trailing slash
+ * @param {string} config.timezone - IANA timezone the portal reports local times in
+ * @returns {Object} - Source adapter
+ */
+export function createEscribeSource(config) {
+  const { id, name, baseUrl, timezone = DEFAULT_TIMEZONE } = config;
+  const calendarUrl = `${baseUrl}/MeetingsCalendarView.aspx/GetCalendarMeetings`;
+
+  function meetingUrl(meetingId) {
+    return `${baseUrl}/Meeting.aspx?Id=${meetingId}`;
+  }
+
+  function agendaUrl(meetingId) {
+    return `${baseUrl}/Meeting.aspx?Id=${meetingId}&Agenda=Agenda&lang=English`;
+  }
+
+  /**
+   * List calendar entries between two dates
+   * @param {string} start - calendarStartDate, ISO-8601 with offset
+   * @param {string} end - calendarEndDate, ISO-8601 with offset
+   * @returns {Promise<{meetings: Array, warnings: string[]}>} - Meetings in the
+   *   shape stored by discovery, plus notes about entries that were skipped
+   */
+  async function listMeetings(start, end) {
+    const res = await fetch(calendarUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        calendarStartDate: start,
+        calendarEndDate: end,
+      }),
+    });
+
+    if (!res.ok) {
+      throw new Error(`Calendar request failed for ${id}: ${res.status} ${res.statusText}`);
+    }
+
+    let data;
+    try {
+      data = await res.json();
+    } catch (error) {
+      throw new UnexpectedResponseError(`Calendar response for ${id} is not JSON: ${error.message}`);
+    }
+
+    if (!data || !Array.isArray(data.d)) {
+      throw new UnexpectedResponseError(`Calendar response for ${id} has no "d" array`, {
+        keys: data && typeof data === 'object' ? Object.keys(data) : typeof data
+      });
+    }
+
+    const meetings = [];
+    const warnings = [];
+
+    for (const entry of data.d) {
+      const missing = REQUIRED_CALENDAR_FIELDS.filter(field => entry?.[field] == null);
+      if (missing.length > 0) {
+        warnings.push(`Calendar entry ${entry?.ID ?? '(no ID)'} is missing ${missing.join(', ')}`);
+        continue;
+      }
+
+      let date;
+      try {
+        // eScribe reports local wall time ("YYYY/MM/DD HH:MM:SS") without an offset
+        date = normalizeMeetingDate(entry.StartDate, timezone);
+      } catch (error) {
+        warnings.push(`Calendar entry ${entry.ID} has an unreadable StartDate: ${entry.StartDate}`);
+        continue;
+      }
+
+      const { status, detail } = calendarStatus(entry);
+
+      meetings.push({
+        id: entry.ID,
+        source: id,
+        title: entry.MeetingName,
+        meeting_url: meetingUrl(entry.ID),
+        date,
+        has_video: Boolean(entry.HasVideo),
+        status,
+        status_detail: detail
+      });
+    }
+
+    return { meetings, warnings };
+  }
+
+  /**
+   * Fetch the agenda page HTML, which also embeds the video bookmarks
+   */
+  async function fetchAgenda(meetingId) {
+    const res = await fetch(agendaUrl(meetingId));
+
+    if (!res.ok) {
+      throw new Error(`Agenda request failed for ${meetingId}: ${res.status} ${res.statusText}`);
+    }
+
+    return res.text();
+  }
+
+  /**
+   * Download an agenda item attachment
+   * @param {Object} attachment - Entry from a parsed agenda item's `attachments`
+   * @returns {Promise<{data: Buffer, contentType: string|null, filename: string|null}>}
+   */
+  async function fetchAttachment(attachment) {
+    const res = await fetch(new URL(attachment.url, `${baseUrl}/`));
+
+    if (!res.ok) {
+      throw new Error(`Attachment request failed for document ${attachment.documentId}: ${res.status} ${res.statusText}`);
+    }
+
+    const disposition = res.headers.get('content-disposition') || '';
+    const filename = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+
+    return {
+      data: Buffer.from(await res.arrayBuffer()),
+      contentType: res.headers.get('content-type'),
+      filename: filename ? decodeURIComponent(filename[1]) : null
+    };
+  }
+
+  /**
+   * Parse agenda page HTML into an item tree and video bookmarks
+   * @param {string} html - Output of fetchAgenda
+   * @returns {{items: Array, bookmarks: Array|null, warnings: string[]}} - bookmarks
+   *   is null when the page has none (e.g. no video yet)
+   */
+  function parseAgenda(html) {
+    const { items, warnings } = parseAgendaPage(html, { baseUrl });
+    return { items, bookmarks: parseBookmarks(html), warnings };
+  }
+
+  async function fetchMeetingPage(meeting) {
+    const pageUrl = meeting.meeting_url || meetingUrl(meeting.id);
+    const res = await fetch(pageUrl);
+
+    if (!res.ok) {
+      throw new Error(`Meeting page request failed for ${meeting.id}: ${res.status} ${res.statusText}`);
+    }
+
+    return { html: await res.text(), pageUrl };
+  }
+
+  /**
+   * Media files behind the meeting page's player, for downloading without yt-dlp
+   * @returns {Promise<Array<{type: 'mp4'|'hls', url: string}>>} - Best first
+   * @throws {Error} - When the page references no video
+   */
+  async function resolveVideo(meeting) {
+    const { html, pageUrl } = await fetchMeetingPage(meeting);
+    const sources = parseVideoSources(html, { baseUrl: pageUrl });
+    if (sources.length === 0) {
+      throw new Error(`No MP4 or HLS source found on the meeting page for ${meeting.id}`);
+    }
+    return sources;
+  }
+
+  /**
+   * The files a meeting was recorded in, in playback order
+   * @returns {Promise<Array<Array<{type: 'mp4'|'hls', url: string}>>>} - Each
+   *   part's sources, best first; empty when the page has no video
+   */
+  async function resolveVideoParts(meeting) {
+    const { html, pageUrl } = await fetchMeetingPage(meeting);
+    return parseVideoParts(html, { baseUrl: pageUrl });
+  }
+
+  /**
+   * Where yt-dlp can download the video for a meeting from
+   * @returns {{strategy: string, url: string}}
+   */
+  function locateVideo(meeting) {
+    // yt-dlp's eScribe extractor works from the meeting page
+    return {
+      strategy: 'ytdlp',
+      url: meeting.meeting_url || meetingUrl(meeting.id)
+    };
+  }
+
+  return {
+    id,
+    name,
+    type: 'escribe',
+    baseUrl,
+    timezone,
+    meetingUrl,
+    agendaUrl,
+    listMeetings,
+    fetchAgenda,
+    parseAgenda,
+    fetchAttachment,
+    locateVideo,
+    resolveVideo,
+    resolveVideoParts
+  };
+}
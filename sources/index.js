@@ -0,0 +1,44 @@
+import { SOURCES, DEFAULT_SOURCE_ID } from './config.js';
+import { createEscribeSource } from './escribe.js';
+
+// Adapter factory for each source `type`
+const ADAPTERS = {
+  escribe: createEscribeSource
+};
+
+const sources = new Map();
+
+for (const config of SOURCES) {
+  const createAdapter = ADAPTERS[config.type];
+  if (!createAdapter) {
+    throw new Error(`Unknown source type "${config.type}" for source ${config.id}`);
+  }
+  sources.set(config.id, { ...createAdapter(config), config });
+}
+
+/**
+ * Get the adapter for a source
+ * @param {string} [sourceId] - Source ID; defaults to the original Gainesville source
+ * @returns {Object} - Source adapter
+ */
+export function getSource(sourceId = DEFAULT_SOURCE_ID) {
+  const source = sources.get(sourceId || DEFAULT_SOURCE_ID);
+  if (!source) {
+    throw new Error(`Unknown meeting source: ${sourceId}`);
+  }
+  return source;
+}
+
+/**
+ * Get adapters for several sources
+ * @param {string[]} [sourceIds] - Source IDs; defaults to every enabled source
+ * @returns {Object[]} - Source adapters
+ */
+export function getSources(sourceIds) {
+  if (sourceIds && sourceIds.length > 0) {
+    return sourceIds.map(getSource);
+  }
+  return [...sources.values()].filter(source => source.config.enabled);
+}
+
+export { DEFAULT_SOURCE_ID };
@@ -18,13 +18,28 @@ const IS_LOCAL = process.env.IS_LOCAL === 'true' || process.env.HOSTNAME === FIL
 
 export const StorageTypes = {
   RAW_VIDEO: 'raw_video',
+  RAW_VIDEO_PART: 'raw_video_part',
+  RAW_VIDEO_PARTS: 'raw_video_parts',
   RAW_AUDIO: 'raw_audio',
   RAW_AGENDA: 'raw_agenda',
+  RAW_BOOKMARKS: 'raw_bookmarks',
+  RAW_ATTACHMENT: 'raw_attachment',
   RAW_TRANSCRIPT: 'raw_transcript',
   DERIVED_CHAPTERS: 'derived_chapters',
+  DERIVED_CHAPTERS_VTT: 'derived_chapters_vtt',
+  DERIVED_CHAPTERS_FFMETADATA: 'derived_chapters_ffmetadata',
+  DERIVED_CHAPTERS_PODCAST: 'derived_chapters_podcast',
+  DERIVED_CHAPTERS_JSON: 'derived_chapters_json',
+  DERIVED_CHAPTERS_TRIMMED: 'derived_chapters_trimmed',
+  DERIVED_CHAPTERS_PART: 'derived_chapters_part',
   DERIVED_AUDIO: 'derived_audio',
+  DERIVED_AUDIO_ASR: 'derived_audio_asr',
+  DERIVED_VIDEO_CHAPTERED: 'derived_video_chaptered',
+  DERIVED_VIDEO_TRIMMED: 'derived_video_trimmed',
   DERIVED_DIARIZED: 'derived_diarized',
+  DERIVED_DIARIZED_PART: 'derived_diarized_part',
   DERIVED_METADATA: 'derived_metadata',
+  DERIVED_ATTACHMENT_TEXT: 'derived_attachment_text',
 };
 
 /**
@@ -32,36 +47,89 @@ export const StorageTypes = {
  * @param {string} type - One of StorageTypes
  * @param {string} meetingId - Meeting ID
  * @param {Object} options - Optional parameters
+ * @param {string|number} [options.itemId] - Agenda item ID (attachments)
+ * @param {string|number} [options.documentId] - Source document ID (attachments)
+ * @param {string} [options.extension] - File extension without the dot (attachments, default pdf)
+ * @param {string|number} [options.part] - Part number, from 1 (multi-part recordings)
  * @returns {string} - Absolute path to the file
  */
 export function pathFor(type, meetingId, options = {}) {
   const safeId = meetingId.replace(/[^a-zA-Z0-9]/g, '_');
+  const attachmentName = `${safeId}_${options.itemId ?? 'item'}_${options.documentId ?? 'doc'}`;
+  const partName = `${safeId}_part${options.part ?? 1}`;
   
   switch (type) {
     case StorageTypes.RAW_VIDEO:
       return path.join(RAW_DIR, 'videos', `${safeId}.mp4`);
       
+    case StorageTypes.RAW_VIDEO_PART:
+      return path.join(RAW_DIR, 'videos', `${partName}.mp4`);
+      
+    // Concat list of the parts; ffmpeg reads it as one input. It sits beside
+    // the parts so its entries can be bare file names
+    case StorageTypes.RAW_VIDEO_PARTS:
+      return path.join(RAW_DIR, 'videos', `${safeId}_parts.ffconcat`);
+      
     case StorageTypes.RAW_AUDIO:
       return path.join(RAW_DIR, 'audio', `${safeId}.mp3`);
       
     case StorageTypes.RAW_AGENDA:
       return path.join(RAW_DIR, 'agendas', `${safeId}_agenda.html`);
       
+    case StorageTypes.RAW_BOOKMARKS:
+      return path.join(RAW_DIR, 'agendas', `${safeId}_bookmarks.json`);
+      
+    case StorageTypes.RAW_ATTACHMENT:
+      return path.join(RAW_DIR, 'attachments', `${attachmentName}.${options.extension || 'pdf'}`);
+      
     case StorageTypes.RAW_TRANSCRIPT:
       return path.join(RAW_DIR, 'transcripts', `${safeId}_transcript.txt`);
       
     case StorageTypes.DERIVED_CHAPTERS:
       return path.join(DERIVED_DIR, 'chapters', `${safeId}_chapters.txt`);
       
+    case StorageTypes.DERIVED_CHAPTERS_VTT:
+      return path.join(DERIVED_DIR, 'chapters', `${safeId}_chapters.vtt`);
+      
+    case StorageTypes.DERIVED_CHAPTERS_FFMETADATA:
+      return path.join(DERIVED_DIR, 'chapters', `${safeId}_ffmetadata.txt`);
+      
+    case StorageTypes.DERIVED_CHAPTERS_PODCAST:
+      return path.join(DERIVED_DIR, 'chapters', `${safeId}_podcast_chapters.json`);
+      
+    case StorageTypes.DERIVED_CHAPTERS_JSON:
+      return path.join(DERIVED_DIR, 'chapters', `${safeId}_chapters.json`);
+      
+    case StorageTypes.DERIVED_CHAPTERS_TRIMMED:
+      return path.join(DERIVED_DIR, 'chapters', `${safeId}_chapters_trimmed.txt`);
+      
+    case StorageTypes.DERIVED_CHAPTERS_PART:
+      return path.join(DERIVED_DIR, 'chapters', `${partName}_chapters.txt`);
+      
     case StorageTypes.DERIVED_AUDIO:
       return path.join(DERIVED_DIR, 'audio', `${safeId}.m4a`);
       
+    case StorageTypes.DERIVED_AUDIO_ASR:
+      return path.join(DERIVED_DIR, 'audio', `${safeId}_asr.flac`);
+      
+    case StorageTypes.DERIVED_VIDEO_CHAPTERED:
+      return path.join(DERIVED_DIR, 'videos', `${safeId}_chaptered.mp4`);
+      
+    case StorageTypes.DERIVED_VIDEO_TRIMMED:
+      return path.join(DERIVED_DIR, 'videos', `${safeId}_trimmed.mp4`);
+      
     case StorageTypes.DERIVED_DIARIZED:
       return path.join(DERIVED_DIR, 'diarized', `${safeId}_diarized.json`);
       
+    case StorageTypes.DERIVED_DIARIZED_PART:
+      return path.join(DERIVED_DIR, 'diarized', `${partName}_diarized.json`);
+      
     case StorageTypes.DERIVED_METADATA:
       return path.join(DERIVED_DIR, 'metadata', `${safeId}_metadata.json`);
       
+    case StorageTypes.DERIVED_ATTACHMENT_TEXT:
+      return path.join(DERIVED_DIR, 'attachment-text', `${attachmentName}.txt`);
+      
     default:
       throw new Error(`Unknown storage type: ${type}`);
   }
@@ -71,10 +139,11 @@ export function pathFor(type, meetingId, options = {}) {
  * Get HTTP URL for remote file access
  * @param {string} type - One of StorageTypes
  * @param {string} meetingId - Meeting ID
+ * @param {Object} [options] - As for pathFor
  * @returns {string} - HTTP URL for the file
  */
-export function urlFor(type, meetingId) {
-  const localPath = pathFor(type, meetingId);
+export function urlFor(type, meetingId, options = {}) {
+  const localPath = pathFor(type, meetingId, options);
   const relativePath = path.relative(STORAGE_ROOT, localPath);
   return `http://${FILE_SERVER_HOST}:${FILE_SERVER_PORT}/files/${relativePath}`;
 }
@@ -138,12 +207,14 @@ async function downloadFileFromUrl(url, localPath) {
  * @param {string} localPath - Local file to upload
  * @param {string} type - Storage type for upload endpoint
  * @param {string} meetingId - Meeting ID for upload endpoint
+ * @param {Object} [options] - As for pathFor, sent as query parameters
  */
-async function uploadFileToRemote(localPath, type, meetingId) {
+async function uploadFileToRemote(localPath, type, meetingId, options = {}) {
   const form = new FormData();
   form.append('file', fsSync.createReadStream(localPath));
   
-  const uploadUrl = `http://${FILE_SERVER_HOST}:${FILE_SERVER_PORT}/upload/${type}/${meetingId}`;
+  const query = new URLSearchParams(options).toString();
+  const uploadUrl = `http://${FILE_SERVER_HOST}:${FILE_SERVER_PORT}/upload/${type}/${meetingId}${query ? `?${query}` : ''}`;
   
   console.log(JSON.stringify({
     message: 'Uploading file',
@@ -178,11 +249,12 @@ async function uploadFileToRemote(localPath, type, meetingId) {
  * @param {string} type - One of StorageTypes
  * @param {string} meetingId - Meeting ID
  * @param {string} localPath - Local path to save file to
+ * @param {Object} [options] - As for pathFor
  */
-export async function readFile(type, meetingId, localPath) {
+export async function readFile(type, meetingId, localPath, options = {}) {
   if (IS_LOCAL) {
     // Fast local filesystem copy
-    const sourcePath = pathFor(type, meetingId);
+    const sourcePath = pathFor(type, meetingId, options);
     await fs.copyFile(sourcePath, localPath);
     
     console.log(JSON.stringify({
@@ -193,7 +265,7 @@ export async function readFile(type, meetingId, localPath) {
     }));
   } else {
     // Remote download via HTTP
-    const url = urlFor(type, meetingId);
+    const url = urlFor(type, meetingId, options);
     await downloadFileFromUrl(url, localPath);
   }
 }
@@ -203,11 +275,12 @@ export async function readFile(type, meetingId, localPath) {
  * @param {string} localPath - Local file to store
  * @param {string} type - One of StorageTypes
  * @param {string} meetingId - Meeting ID
+ * @param {Object} [options] - As for pathFor
  */
-export async function writeFile(localPath, type, meetingId) {
+export async function writeFile(localPath, type, meetingId, options = {}) {
   if (IS_LOCAL) {
     // Fast local filesystem copy
-    const destPath = pathFor(type, meetingId);
+    const destPath = pathFor(type, meetingId, options);
     await fs.mkdir(path.dirname(destPath), { recursive: true });
     await fs.copyFile(localPath, destPath);
     
@@ -219,7 +292,7 @@ export async function writeFile(localPath, type, meetingId) {
     }));
   } else {
     // Remote upload via HTTP
-    await uploadFileToRemote(localPath, type, meetingId);
+    await uploadFileToRemote(localPath, type, meetingId, options);
   }
 }
 
@@ -227,11 +300,12 @@ export async function writeFile(localPath, type, meetingId) {
  * Check if a file exists in storage
  * @param {string} type - One of StorageTypes
  * @param {string} meetingId - Meeting ID
+ * @param {Object} [options] - As for pathFor
  * @returns {Promise<boolean>}
  */
-export async function exists(type, meetingId) {
+export async function exists(type, meetingId, options = {}) {
   if (IS_LOCAL) {
-    const filePath = pathFor(type, meetingId);
+    const filePath = pathFor(type, meetingId, options);
     try {
       await fs.access(filePath);
       return true;
@@ -240,7 +314,7 @@ export async function exists(type, meetingId) {
     }
   } else {
     // Check via HTTP HEAD request
-    const url = urlFor(type, meetingId);
+    const url = urlFor(type, meetingId, options);
     try {
       const response = await fetch(url, { method: 'HEAD' });
       return response.ok;
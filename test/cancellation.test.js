@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pickReplacement } from '../discovery/cancellation.js';
+
+const postponed = {
+  id: 'pp',
+  title: 'City Commission - POSTPONED',
+  date: '2024-03-07T13:00:00-05:00',
+  body_id: 'city-commission',
+  state: 'CANCELLED'
+};
+
+const regular = {
+  id: 'regular',
+  title: 'City Commission Meeting',
+  date: '2024-03-21T13:00:00-05:00',
+  body_id: 'city-commission',
+  is_special: 0,
+  state: 'SCHEDULED'
+};
+
+test('does not pick the next regular meeting of the same body', () => {
+  assert.equal(pickReplacement(postponed, [regular]), null);
+});
+
+test('picks a same-body meeting with the same base title', () => {
+  const sameTitle = { ...regular, id: 'same', title: 'City Commission', date: '2024-03-14T13:00:00-04:00' };
+  assert.equal(pickReplacement(postponed, [sameTitle, regular])?.id, 'same');
+});
+
+test('picks a special or rescheduled meeting of the same body over a later regular one', () => {
+  const special = { ...regular, id: 'special', title: 'Special City Commission Meeting', is_special: 1, date: '2024-03-25T13:00:00-04:00' };
+  assert.equal(pickReplacement(postponed, [regular, special])?.id, 'special');
+
+  const rescheduled = { ...regular, id: 'rescheduled', title: 'City Commission Meeting (Rescheduled)', date: '2024-03-25T13:00:00-04:00' };
+  assert.equal(pickReplacement(postponed, [regular, rescheduled])?.id, 'rescheduled');
+});
+
+test('does not pick a special meeting of another body', () => {
+  const other = { ...regular, id: 'other', title: 'Special Plan Board Meeting', body_id: 'plan-board', is_special: 1 };
+  assert.equal(pickReplacement(postponed, [other]), null);
+});
+
+test('matches by base title when bodies are unknown', () => {
+  const unclassified = { ...postponed, body_id: null };
+  const sameTitle = { ...regular, id: 'same', title: 'City Commission', body_id: null };
+  assert.equal(pickReplacement(unclassified, [{ ...regular, body_id: null }, sameTitle])?.id, 'same');
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeEntities, normalizeChapters } from '../agenda/chapters.js';
+
+test('decodes named, decimal and hex entities, including double-encoded ones', () => {
+  assert.equal(decodeEntities('Parks &amp; Recreation'), 'Parks & Recreation');
+  assert.equal(decodeEntities('Mayor&#39;s Report &#x2013; Update'), 'Mayor\'s Report – Update');
+  assert.equal(decodeEntities('Q&amp;amp;A'), 'Q&A');
+});
+
+test('leaves numeric entities that are not valid code points as written', () => {
+  assert.equal(decodeEntities('Item &#99999999; Title'), 'Item &#99999999; Title');
+  assert.equal(decodeEntities('&#x110000;'), '&#x110000;');
+  assert.equal(decodeEntities('&#xD800;'), '&#xD800;');
+  assert.equal(decodeEntities('&#56320; &amp;'), '&#56320; &');
+});
+
+const items = [
+  { id: 1, title: 'Call to Order', timeStart: 0, timeEnd: 60000 },
+  { id: 2, title: 'Public Hearing', timeStart: 60000, timeEnd: 3600000 },
+  { id: 3, title: 'Adjourn', timeStart: 3600000, timeEnd: 3603000 }
+];
+
+test('keeps a short closing bookmark as a chapter running to the end of the video', () => {
+  const { chapters, report } = normalizeChapters(items, { durationSeconds: 3700.4 });
+  assert.deepEqual(chapters.map(({ start, end, title }) => ({ start, end, title })), [
+    { start: 0, end: 60, title: 'Call to Order' },
+    { start: 60, end: 3600, title: 'Public Hearing' },
+    { start: 3600, end: 3700, title: 'Adjourn' }
+  ]);
+  assert.equal(report.valid, true);
+});
+
+test('keeps the closing chapter when the video length is unknown', () => {
+  const { chapters } = normalizeChapters(items);
+  assert.equal(chapters.length, 3);
+  assert.equal(chapters[2].end, 3603);
+});
+
+test('merges the last chapter when the video ends under 10 seconds after it starts', () => {
+  const { chapters } = normalizeChapters(items, { durationSeconds: 3605 });
+  assert.equal(chapters.length, 2);
+  assert.deepEqual(chapters[1], { start: 60, end: 3605, title: 'Public Hearing / Adjourn', itemIds: [2, 3] });
+});
+
+test('never ends a chapter before it starts when the video is shorter than the bookmarks', () => {
+  for (const durationSeconds of [3000, 30]) {
+    const { chapters } = normalizeChapters(items, { durationSeconds });
+    for (const chapter of chapters) {
+      assert.ok(chapter.end >= chapter.start, `${chapter.title} ends at ${chapter.end} before ${chapter.start}`);
+    }
+  }
+});
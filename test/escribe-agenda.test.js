@@ -0,0 +1,56 @@
+/**
+ * Golden-file tests for the eScribe agenda parser and the bookmark join.
+ *
+ * Each saved page in fixtures/escribe-agendas/<name>.html has a golden
+ * <name>.json with the agenda tree, the timed items and the warnings. The
+ * pages keep eScribe's markup as served (upper-case DIVs, single-quoted
+ * classes), trimmed to the agenda and the video player script.
+ * After an intended parser change, rewrite the goldens with
+ * `UPDATE_GOLDEN=1 npm test` and review the diff.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseAgendaPage, parseBookmarks } from '../sources/escribe-agenda.js';
+import { joinBookmarks } from '../agenda/items.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'escribe-agendas');
+const BASE_URL = 'https://pub-cityofgainesville.escribemeetings.com';
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+function parseFixture(html) {
+  const { items, warnings } = parseAgendaPage(html, { baseUrl: BASE_URL });
+  const bookmarks = parseBookmarks(html);
+  const joined = bookmarks ? joinBookmarks(items, bookmarks) : null;
+
+  return {
+    items,
+    warnings,
+    bookmarks,
+    agendaItems: joined ? joined.agendaItems : null,
+    joinWarnings: joined ? joined.warnings : null
+  };
+}
+
+const pages = (await fs.readdir(FIXTURES_DIR))
+  .filter(file => file.endsWith('.html'))
+  .sort();
+
+for (const page of pages) {
+  test(`parses ${page} to its golden tree`, async () => {
+    const html = await fs.readFile(path.join(FIXTURES_DIR, page), 'utf8');
+    const goldenPath = path.join(FIXTURES_DIR, page.replace(/\.html$/, '.json'));
+    // Round-trip through JSON so the comparison sees what the golden file stores
+    const actual = JSON.parse(JSON.stringify(parseFixture(html)));
+
+    if (UPDATE_GOLDEN) {
+      await fs.writeFile(goldenPath, JSON.stringify(actual, null, 2) + '\n');
+      return;
+    }
+
+    const golden = JSON.parse(await fs.readFile(goldenPath, 'utf8'));
+    assert.deepEqual(actual, golden);
+  });
+}
@@ -4,10 +4,12 @@ import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { uploadToYouTube } from './youtube-uploader.js';
+import { getSource } from './sources/index.js';
+import { formatMeetingDate, monthRange, startOfDay } from './lib/dates.js';
 import 'dotenv/config';
 
-const BASE_URL = 'https://pub-cityofgainesville.escribemeetings.com';
-const API_URL = `${BASE_URL}/MeetingsCalendarView.aspx/GetCalendarMeetings`;
+// The legacy processor only ever handled the Gainesville portal
+const SOURCE = getSource('gainesville');
 const DOWNLOAD_DIR = './downloads';
 const METADATA_DIR = './downloads/metadata';
 const CHAPTERS_DIR = './downloads/youtube-chapters';
@@ -44,11 +46,6 @@ async function writeFileAtomic(filePath, content) {
   }
 }
 
-/**
- * Format the meeting date into a safe kebob case date
- */
-const formatMeetingDate = (date) => date.split(' ')[0].replace(/\//g, '-');
-
 /**
  * Determine which playlists a meeting belongs to based on its title
  * @param {string} meetingTitle - The title of the meeting
@@ -72,44 +69,28 @@ function determinePlaylistIds(meetingTitle) {
  * If no dates provided, defaults to current month
  */
 function getDateRange(startDate, endDate) {
-  const toISOStringWithOffset = (date) =>
-    date.toISOString().replace('Z', '-04:00');
+  const { timezone } = SOURCE;
+  const month = monthRange(new Date(), timezone);
 
-  let startDateObj, endDateObj;
+  // Full ISO timestamps are passed through; plain dates are local midnights
+  const toBoundary = (date) => date.includes('T') ? date : startOfDay(date, timezone);
 
-  // Parse and validate start date
-  if (startDate) {
-    startDateObj = new Date(startDate);
-    if (isNaN(startDateObj.getTime())) {
-      throw new Error(`Invalid start date: ${startDate}. Please use format YYYY-MM-DD`);
-    }
-  } else {
-    // Default to first day of current month
-    const now = new Date();
-    startDateObj = new Date(now.getFullYear(), now.getMonth(), 1);
-  }
+  const start = startDate ? toBoundary(startDate) : month.start;
+  const end = endDate ? toBoundary(endDate) : month.end;
 
-  // Parse and validate end date
-  if (endDate) {
-    endDateObj = new Date(endDate);
-    if (isNaN(endDateObj.getTime())) {
-      throw new Error(`Invalid end date: ${endDate}. Please use format YYYY-MM-DD`);
-    }
-  } else {
-    // Default to first day of next month (end of current month)
-    const now = new Date();
-    endDateObj = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+  if (isNaN(new Date(start).getTime())) {
+    throw new Error(`Invalid start date: ${startDate}. Please use format YYYY-MM-DD`);
+  }
+  if (isNaN(new Date(end).getTime())) {
+    throw new Error(`Invalid end date: ${endDate}. Please use format YYYY-MM-DD`);
   }
 
   // Validate that start date is not after end date
-  if (startDateObj > endDateObj) {
+  if (new Date(start) > new Date(end)) {
     throw new Error(`Start date (${startDate}) cannot be after end date (${endDate})`);
   }
 
-  return { 
-    start: toISOStringWithOffset(startDateObj), 
-    end: toISOStringWithOffset(endDateObj) 
-  };
+  return { start, end };
 }
 
 /**
@@ -126,25 +107,15 @@ async function fetchMeetingsWithVideo(startDate, endDate) {
   const { start, end } = getDateRange(startDate, endDate);
   console.log(`Fetching meetings from ${start} to ${end}`);
 
-  const res = await fetch(API_URL, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      calendarStartDate: start,
-      calendarEndDate: end,
-    }),
-  });
-
-  const data = await res.json();
-  const meetings = data.d;
+  const { meetings } = await SOURCE.listMeetings(start, end);
 
   const meetingsWithVideo = meetings
-    .filter((meeting) => meeting.HasVideo)
+    .filter((meeting) => meeting.has_video)
     .map((meeting) => ({
-      title: meeting.MeetingName,
-      meetingUrl: `${BASE_URL}/Meeting.aspx?Id=${meeting.ID}`,
-      startDate: meeting.StartDate,
-      id: meeting.ID
+      title: meeting.title,
+      meetingUrl: meeting.meeting_url,
+      startDate: meeting.date,
+      id: meeting.id
     }));
 
   console.log(`Found ${meetingsWithVideo.length} meetings with video.`);
@@ -157,11 +128,9 @@ async function fetchMeetingsWithVideo(startDate, endDate) {
 async function extractAgendaWithTimestamps(meetingId) {
   try {
     // Fetch the meeting page HTML
-    const agendaUrl = `${BASE_URL}/Meeting.aspx?Id=${meetingId}&Agenda=Agenda&lang=English`;
-    console.log(`Fetching agenda from: ${agendaUrl}`);
+    console.log(`Fetching agenda from: ${SOURCE.agendaUrl(meetingId)}`);
     
-    const response = await fetch(agendaUrl);
-    const html = await response.text();
+    const html = await SOURCE.fetchAgenda(meetingId);
     
     // Extract video bookmarks (timestamps) using regex
     const bookmarksMatch = html.match(/Bookmarks\s*:\s*\[(.*?)\]/s);
@@ -2,9 +2,10 @@
 import { createWorker, createQueue, connection } from '../queue/config.js';
 import { advanceWorkflow, handleWorkflowFailure } from '../workflow/orchestrator.js';
 import { QUEUE_NAMES } from '../workflow/config.js';
-import { getMeeting, updateMeetingState } from '../api/meetings-client.js';
-import { MeetingStates } from '../db/init.js';
-import { readFile, writeFile, StorageTypes } from '../storage/paths.js';
+import { getMeeting, updateMeetingState, getVideoParts } from '../api/meetings-client.js';
+import { MeetingStates, AudioStatus } from '../db/init.js';
+import { readFile, writeFile, exists, pathFor, StorageTypes } from '../storage/paths.js';
+import { transcriptForPart } from '../media/video-parts.js';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import path from 'path';
@@ -79,6 +80,38 @@ async function runWhisperX(audioPath, outputPath) {
   return { stdout, stderr };
 }
 
+/**
+ * Split a multi-part meeting's transcript into one per part, timed from the
+ * start of each part, to go with the part videos
+ */
+async function writePartTranscripts(meetingId, transcriptPath, tempDir) {
+  const transcript = JSON.parse(await fs.readFile(transcriptPath, 'utf8'));
+  const parts = await getVideoParts(meetingId);
+  
+  for (const part of parts) {
+    const localPartPath = path.join(tempDir, `${meetingId}_part${part.part_index}_diarized.json`);
+    await fs.writeFile(localPartPath, JSON.stringify(transcriptForPart(transcript, part), null, 2));
+    await writeFile(localPartPath, StorageTypes.DERIVED_DIARIZED_PART, meetingId, { part: part.part_index });
+  }
+  
+  console.log(JSON.stringify({
+    message: 'Wrote part transcripts',
+    meeting_id: meetingId,
+    parts: parts.length,
+    step: 'diarize_parts'
+  }));
+}
+
+/**
+ * Storage type of the best audio available for a meeting, or null
+ */
+async function findAudio(meetingId) {
+  for (const type of [StorageTypes.DERIVED_AUDIO_ASR, StorageTypes.DERIVED_AUDIO]) {
+    if (await exists(type, meetingId)) return type;
+  }
+  return null;
+}
+
 async function processDiarizeJob(job) {
   const { meetingId } = job.data;
   
@@ -112,7 +145,6 @@ async function processDiarizeJob(job) {
     throw err;
   }
   
-  const localAudioPath = path.join(tempDir, `${meetingId}_audio.m4a`);
   const localOutputPath = path.join(tempDir, `${meetingId}_diarized.json`);
   
   try {
@@ -126,15 +158,37 @@ async function processDiarizeJob(job) {
       throw new Error(`Meeting ${meetingId} not in UPLOADED state (current: ${meeting.state})`);
     }
     
-    // 1. Download extracted audio file from file server
+    // 1. Download extracted audio file from file server, preferring the
+    // normalized 16 kHz copy over the audio as the city encoded it
+    const audioType = await findAudio(meetingId);
+    
+    if (meeting.audio_status === AudioStatus.UNAVAILABLE || !audioType) {
+      // Not a diarization failure: park the meeting until an audio retry succeeds
+      const reason = meeting.audio_error || 'No extracted audio in storage';
+      await updateMeetingState(meetingId, MeetingStates.AUDIO_UNAVAILABLE, { error: reason });
+      
+      console.warn(JSON.stringify({
+        message: 'Skipping diarization, audio unavailable',
+        meeting_id: meetingId,
+        job_id: job.id,
+        reason,
+        step: 'diarize_skipped'
+      }));
+      
+      return { skipped: true, reason };
+    }
+    
+    const localAudioPath = path.join(tempDir, `${meetingId}_audio${path.extname(pathFor(audioType, meetingId))}`);
+    
     console.log(JSON.stringify({
       message: 'Downloading extracted audio for diarization',
       meeting_id: meetingId,
+      audio_type: audioType,
       local_path: localAudioPath,
       step: 'diarize_download'
     }));
     
-    await readFile(StorageTypes.DERIVED_AUDIO, meetingId, localAudioPath);
+    await readFile(audioType, meetingId, localAudioPath);
     
     // 2. Run WhisperX diarization
     console.log(JSON.stringify({
@@ -170,6 +224,11 @@ async function processDiarizeJob(job) {
     
     await writeFile(localOutputPath, StorageTypes.DERIVED_DIARIZED, meetingId);
     
+    // The audio covered every part, so the transcript is on the meeting's timeline
+    if (meeting.video_part_count > 1) {
+      await writePartTranscripts(meetingId, localOutputPath, tempDir);
+    }
+    
     // 5. Advance workflow to next state
     await advanceWorkflow(meetingId, 'UPLOADED');
     
@@ -1,63 +1,501 @@
 #!/usr/bin/env node
+import { DelayedError } from 'bullmq';
 import { createWorker, connection } from '../queue/config.js';
-import { getMeeting } from '../api/meetings-client.js';
+import { getMeeting, getMeetings, updateMeeting, updateMeetingState, saveVideoParts } from '../api/meetings-client.js';
 import { pathFor, StorageTypes, ensureStorageDirs } from '../storage/paths.js';
-import { advanceWorkflow, handleWorkflowFailure } from '../workflow/orchestrator.js';
+import { advanceWorkflow, handleWorkflowFailure, enqueueDeferredDownload } from '../workflow/orchestrator.js';
 import { QUEUE_NAMES } from '../workflow/config.js';
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import { getSource } from '../sources/index.js';
+import { loadBookmarks } from '../agenda/extract.js';
+import { validateVideo, MediaValidationError } from '../media/validate.js';
+import {
+  runYtDlp,
+  findPartialFiles,
+  removePartialFiles,
+  isResumeFailure,
+  DownloadInterruptedError,
+  PARTIAL_MAX_AGE_MS
+} from '../media/ytdlp.js';
+import { downloadFile, downloadHls } from '../media/native-download.js';
+import { VideoNotAvailableError, isNotYetAvailable } from '../media/availability.js';
+import { withOffsets, writeConcatList, joinVideoParts, JOIN_PARTS } from '../media/video-parts.js';
+import { hashFiles, pickOriginal } from '../media/content-hash.js';
+import { MeetingStates } from '../db/init.js';
+import fs from 'fs/promises';
 import 'dotenv/config';
 
-const execAsync = promisify(exec);
-const YTDLP_PATH = process.env.YTDLP_PATH || '/Users/jon/Spoons/yt-dlp/yt_dlp/__main__.py';
+// Progress goes to BullMQ at most this often, and to the log every 10%
+const PROGRESS_INTERVAL_MS = 5000;
 
-async function downloadVideo(meetingId) {
-  try {
-    const meeting = await getMeeting(meetingId);
-    
-    if (!meeting) {
-      throw new Error(`Meeting ${meetingId} not found`);
+// How often to look again for a video that is not posted yet, and for how long
+const DEFER_INTERVAL_HOURS = parseFloat(process.env.DEFER_INTERVAL_HOURS) || 2;
+const DEFER_WINDOW_HOURS = parseFloat(process.env.DEFER_WINDOW_HOURS) || 72;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Aborted on shutdown so yt-dlp stops and keeps its partial file
+const activeDownloads = new Set();
+
+/**
+ * Report yt-dlp progress to the job, throttled
+ */
+function progressReporter(job, meetingId) {
+  let lastUpdate = 0;
+  let lastLoggedDecile = -1;
+  
+  return (progress) => {
+    const now = Date.now();
+    if (now - lastUpdate >= PROGRESS_INTERVAL_MS || progress.percent === 100) {
+      lastUpdate = now;
+      job.updateProgress({
+        percent: progress.percent,
+        downloaded_bytes: progress.downloadedBytes,
+        total_bytes: progress.totalBytes,
+        speed: progress.speed,
+        eta: progress.eta
+      }).catch(() => {
+        // Progress is informational; a lost update is not worth failing over
+      });
     }
     
-    const outputPath = pathFor(StorageTypes.RAW_VIDEO, meetingId);
-    
-    const cmd = YTDLP_PATH.includes('/') ? 
-      `python3 "${YTDLP_PATH}" "${meeting.meeting_url}" --output "${outputPath}"` :
-      `${YTDLP_PATH} "${meeting.meeting_url}" --output "${outputPath}"`;
+    const decile = progress.percent === null ? -1 : Math.floor(progress.percent / 10);
+    if (decile > lastLoggedDecile) {
+      lastLoggedDecile = decile;
+      console.log(JSON.stringify({
+        message: 'Download progress',
+        meeting_id: meetingId,
+        percent: progress.percent,
+        downloaded_bytes: progress.downloadedBytes,
+        total_bytes: progress.totalBytes,
+        eta: progress.eta,
+        step: 'download_progress'
+      }));
+    }
+  };
+}
+
+async function downloadWithYtDlp(source, meeting, outputPath, options) {
+  const { url } = source.locateVideo(meeting);
+  const hadPartial = (await findPartialFiles(outputPath)).length > 0;
+  
+  try {
+    await runYtDlp(url, outputPath, options);
+  } catch (error) {
+    if (!hadPartial || !isResumeFailure(error)) throw error;
     
+    // The server would not continue the old partial; start over once
+    const removed = await removePartialFiles(outputPath);
+    console.warn(JSON.stringify({
+      message: 'Partial download could not be resumed, restarting',
+      meeting_id: meeting.id,
+      error: error.message,
+      files: removed,
+      step: 'download_cleanup'
+    }));
+    await runYtDlp(url, outputPath, { ...options, resume: false });
+  }
+  
+  // Fragments of other formats can outlive a finished merge
+  await removePartialFiles(outputPath);
+}
+
+async function downloadNative(source, meeting, outputPath, options) {
+  if (!source.resolveVideo) {
+    throw new Error(`Source ${source.id} has no native video resolver`);
+  }
+  
+  const [video] = await source.resolveVideo(meeting);
+  console.log(JSON.stringify({
+    message: 'Resolved video source',
+    meeting_id: meeting.id,
+    type: video.type,
+    url: video.url,
+    step: 'download_resolve'
+  }));
+  
+  await downloadSource(video, outputPath, options);
+}
+
+async function downloadSource(video, outputPath, options) {
+  if (video.type === 'hls') {
+    await downloadHls(video.url, outputPath, options);
+  } else {
+    await downloadFile(video.url, outputPath, options);
+  }
+}
+
+// Download strategies a source can list in `videoStrategies`
+const VIDEO_STRATEGIES = {
+  ytdlp: downloadWithYtDlp,
+  native: downloadNative
+};
+
+const DEFAULT_VIDEO_STRATEGIES = ['ytdlp'];
+
+async function downloadVideo(meeting, job) {
+  const meetingId = meeting.id;
+  const source = getSource(meeting.source);
+  const strategies = source.config.videoStrategies || DEFAULT_VIDEO_STRATEGIES;
+  const outputPath = pathFor(StorageTypes.RAW_VIDEO, meetingId);
+  
+  const stale = await removePartialFiles(outputPath, { olderThanMs: PARTIAL_MAX_AGE_MS });
+  if (stale.length > 0) {
     console.log(JSON.stringify({
-      message: 'Starting video download',
+      message: 'Removed stale partial downloads',
       meeting_id: meetingId,
+      files: stale,
+      step: 'download_cleanup'
+    }));
+  }
+  
+  const controller = new AbortController();
+  activeDownloads.add(controller);
+  const options = { onProgress: progressReporter(job, meetingId), signal: controller.signal };
+  const failures = [];
+  
+  try {
+    for (const [index, strategy] of strategies.entries()) {
+      const download = VIDEO_STRATEGIES[strategy];
+      if (!download) {
+        throw new Error(`Unknown video strategy "${strategy}" for source ${source.id}`);
+      }
+      
+      // Another tool's partial file is not safe to continue
+      if (index > 0) await removePartialFiles(outputPath);
+      
+      const partials = await findPartialFiles(outputPath);
+      console.log(JSON.stringify({
+        message: partials.length > 0 ? 'Resuming partial download' : 'Starting video download',
+        meeting_id: meetingId,
+        strategy,
+        output_path: outputPath,
+        partial_bytes: partials.reduce((total, partial) => total + partial.size, 0),
+        step: 'download_start'
+      }));
+      
+      try {
+        await download(source, meeting, outputPath, options);
+        
+        console.log(JSON.stringify({
+          message: 'Video download complete',
+          meeting_id: meetingId,
+          strategy,
+          output_path: outputPath,
+          step: 'download_complete'
+        }));
+        
+        return { meeting, outputPath, strategy };
+      } catch (error) {
+        if (error instanceof DownloadInterruptedError) throw error;
+        
+        failures.push({ strategy, error });
+        console.warn(JSON.stringify({
+          message: 'Download strategy failed',
+          meeting_id: meetingId,
+          strategy,
+          error: error.message,
+          remaining: strategies.slice(index + 1),
+          step: 'download_strategy_failed'
+        }));
+      }
+    }
+  } finally {
+    activeDownloads.delete(controller);
+  }
+  
+  const summary = failures.map(({ strategy, error }) => `${strategy}: ${error.message}`).join('; ');
+  if (failures.every(({ error }) => isNotYetAvailable(error))) {
+    throw new VideoNotAvailableError(
+      `Video not available yet (${summary})`,
+      failures.map(({ strategy, error }) => ({ strategy, error: error.message }))
+    );
+  }
+  throw new Error(`All download strategies failed (${summary})`);
+}
+
+/**
+ * The files of a multi-part recording, each with its sources, or null for
+ * a single video. Parts are fetched directly, so only sources that allow
+ * the native strategy are asked.
+ */
+async function resolveParts(meeting) {
+  const source = getSource(meeting.source);
+  const strategies = source.config.videoStrategies || DEFAULT_VIDEO_STRATEGIES;
+  if (!source.resolveVideoParts || !strategies.includes('native')) return null;
+  
+  try {
+    const parts = await source.resolveVideoParts(meeting);
+    return parts.length > 1 ? parts : null;
+  } catch (error) {
+    // The page may not list the video yet; the single-video path decides
+    console.warn(JSON.stringify({
+      message: 'Could not resolve video parts, downloading as one video',
+      meeting_id: meeting.id,
+      error: error.message,
+      step: 'download_parts'
+    }));
+    return null;
+  }
+}
+
+/**
+ * Download one part from the first of its sources that works. A part
+ * already downloaded and valid is kept, so a retry only fetches what is missing.
+ * @returns {Promise<{url: string|null, probe: Object}>}
+ */
+async function downloadPart(meeting, partIndex, sources, outputPath, options) {
+  try {
+    return { url: null, probe: await validateVideo(outputPath) };
+  } catch (error) {
+    if (!(error instanceof MediaValidationError)) throw error;
+    await fs.rm(outputPath, { force: true });
+  }
+  
+  const failures = [];
+  for (const video of sources) {
+    console.log(JSON.stringify({
+      message: 'Starting video part download',
+      meeting_id: meeting.id,
+      part: partIndex,
+      type: video.type,
+      url: video.url,
       output_path: outputPath,
       step: 'download_start'
     }));
     
-    const { stdout, stderr } = await execAsync(cmd);
+    try {
+      await downloadSource(video, outputPath, options);
+      return { url: video.url, probe: await validateVideo(outputPath) };
+    } catch (error) {
+      if (error instanceof DownloadInterruptedError) throw error;
+      
+      failures.push(error);
+      await fs.rm(outputPath, { force: true });
+      await removePartialFiles(outputPath);
+      console.warn(JSON.stringify({
+        message: 'Video part source failed',
+        meeting_id: meeting.id,
+        part: partIndex,
+        url: video.url,
+        error: error.message,
+        step: 'download_strategy_failed'
+      }));
+    }
+  }
+  
+  const summary = failures.map(error => error.message).join('; ');
+  if (failures.every(isNotYetAvailable)) {
+    throw new VideoNotAvailableError(`Video part ${partIndex} not available yet (${summary})`, failures.map(error => ({ part: partIndex, error: error.message })));
+  }
+  throw new Error(`Video part ${partIndex} could not be downloaded (${summary})`);
+}
+
+/**
+ * Download every part of a multi-part recording, record the parts and,
+ * unless they are only published separately, join them into RAW_VIDEO
+ * @returns {Promise<{outputPath: string, parts: Array, joined: boolean}>}
+ */
+async function downloadParts(meeting, partSources, job) {
+  console.log(JSON.stringify({
+    message: 'Meeting video is in several parts',
+    meeting_id: meeting.id,
+    parts: partSources.length,
+    join: JOIN_PARTS,
+    step: 'download_parts'
+  }));
+  
+  const controller = new AbortController();
+  activeDownloads.add(controller);
+  const options = { onProgress: progressReporter(job, meeting.id), signal: controller.signal };
+  const downloaded = [];
+  
+  try {
+    for (const [index, sources] of partSources.entries()) {
+      const partIndex = index + 1;
+      const outputPath = pathFor(StorageTypes.RAW_VIDEO_PART, meeting.id, { part: partIndex });
+      const { url, probe } = await downloadPart(meeting, partIndex, sources, outputPath, options);
+      
+      downloaded.push({
+        part_index: partIndex,
+        url: url ?? sources[0].url,
+        file_path: outputPath,
+        duration_seconds: probe.duration_seconds,
+        size_bytes: probe.size_bytes
+      });
+    }
+  } finally {
+    activeDownloads.delete(controller);
+  }
+  
+  const parts = withOffsets(downloaded);
+  await saveVideoParts(meeting.id, parts);
+  
+  let outputPath;
+  if (JOIN_PARTS) {
+    ({ outputPath } = await joinVideoParts(meeting.id, parts));
+    await verifyDownload(meeting, outputPath);
+  } else {
+    outputPath = await writeConcatList(meeting.id, parts.length);
+    await updateMeeting(meeting.id, {
+      media_probe: JSON.stringify({
+        valid: true,
+        parts: parts.map(({ part_index, duration_seconds, size_bytes }) => ({ part_index, duration_seconds, size_bytes })),
+        duration_seconds: parts.reduce((total, part) => total + part.duration_seconds, 0),
+        probed_at: new Date().toISOString()
+      })
+    });
+  }
+  
+  await updateMeeting(meeting.id, { video_part_count: parts.length, video_parts_joined: JOIN_PARTS ? 1 : 0 });
+  
+  console.log(JSON.stringify({
+    message: 'Video parts downloaded',
+    meeting_id: meeting.id,
+    parts: parts.length,
+    durations: parts.map(part => part.duration_seconds),
+    joined: JOIN_PARTS,
+    output_path: outputPath,
+    step: 'download_complete'
+  }));
+  
+  return { outputPath, parts, joined: JOIN_PARTS };
+}
+
+/**
+ * Hash the downloaded video and, when another meeting has the same video,
+ * mark this meeting as its alias so the upload step reuses that upload.
+ * Deduplication is an optimization; a failure here never fails the download.
+ */
+async function recordContentHash(meeting, filePaths) {
+  try {
+    const contentHash = await hashFiles(filePaths);
+    const matches = await getMeetings({ content_hash: contentHash });
+    const aliasOf = pickOriginal(meeting, matches);
     
-    if (stderr) {
-      console.error(JSON.stringify({
-        message: 'Download stderr',
-        meeting_id: meetingId,
-        stderr,
-        step: 'download_output'
+    await updateMeeting(meeting.id, { content_hash: contentHash, alias_of: aliasOf });
+    
+    if (aliasOf) {
+      console.log(JSON.stringify({
+        message: 'Downloaded video matches another meeting, linked as alias',
+        meeting_id: meeting.id,
+        alias_of: aliasOf,
+        content_hash: contentHash,
+        step: 'download_duplicate'
       }));
     }
     
-    console.log(JSON.stringify({
-      message: 'Video download complete',
-      meeting_id: meetingId,
-      output_path: outputPath,
-      step: 'download_complete'
+    return { contentHash, aliasOf };
+  } catch (error) {
+    console.warn(JSON.stringify({
+      message: 'Could not hash downloaded video',
+      meeting_id: meeting.id,
+      error: error.message,
+      step: 'download_hash'
+    }));
+    return null;
+  }
+}
+
+/**
+ * Probe the downloaded file and store the results on the meeting. A bad
+ * file is deleted so the retry downloads it again instead of reusing it.
+ */
+async function verifyDownload(meeting, outputPath) {
+  let bookmarks = null;
+  try {
+    bookmarks = await loadBookmarks(meeting);
+  } catch (error) {
+    // Without bookmarks only the absolute checks apply
+    console.warn(JSON.stringify({
+      message: 'Could not load agenda bookmarks for validation',
+      meeting_id: meeting.id,
+      error: error.message,
+      step: 'download_validate'
     }));
+  }
+  
+  try {
+    const probe = await validateVideo(outputPath, { bookmarks });
+    await updateMeeting(meeting.id, {
+      media_probe: JSON.stringify({ ...probe, valid: true, probed_at: new Date().toISOString() })
+    });
     
-    return { outputPath };
+    console.log(JSON.stringify({
+      message: 'Downloaded video validated',
+      meeting_id: meeting.id,
+      duration_seconds: probe.duration_seconds,
+      size_bytes: probe.size_bytes,
+      video_codec: probe.video_codec,
+      audio_codec: probe.audio_codec,
+      step: 'download_validate'
+    }));
     
+    return probe;
   } catch (error) {
+    if (error instanceof MediaValidationError) {
+      await updateMeeting(meeting.id, {
+        media_probe: JSON.stringify({
+          ...error.details,
+          valid: false,
+          problem: error.problem,
+          error: error.message,
+          probed_at: new Date().toISOString()
+        })
+      });
+      await fs.rm(outputPath, { force: true });
+      
+      console.error(JSON.stringify({
+        message: 'Downloaded video failed validation, deleted',
+        meeting_id: meeting.id,
+        problem: error.problem,
+        error: error.message,
+        output_path: outputPath,
+        step: 'download_invalid'
+      }));
+    }
     throw error;
   }
 }
 
-async function processDownloadJob(job) {
+/**
+ * Schedule a later attempt for a video that is not posted yet
+ * @returns {Promise<Object|null>} - The schedule, or null once the window has run out
+ */
+async function deferDownload(meeting, error) {
+  const now = new Date();
+  const since = meeting.download_deferred_since || now.toISOString();
+  const elapsedHours = (now.getTime() - new Date(since).getTime()) / HOUR_MS;
+  
+  if (elapsedHours + DEFER_INTERVAL_HOURS > DEFER_WINDOW_HOURS) {
+    return null;
+  }
+  
+  const deferrals = (meeting.download_deferrals || 0) + 1;
+  const delayMs = DEFER_INTERVAL_HOURS * HOUR_MS;
+  const nextAt = new Date(now.getTime() + delayMs).toISOString();
+  
+  await updateMeetingState(meeting.id, MeetingStates.DOWNLOAD_DEFERRED);
+  await updateMeeting(meeting.id, {
+    download_deferred_since: since,
+    download_deferrals: deferrals,
+    next_download_at: nextAt
+  });
+  const jobId = await enqueueDeferredDownload(meeting.id, deferrals, delayMs);
+  
+  console.log(JSON.stringify({
+    message: 'Video not available yet, download deferred',
+    meeting_id: meeting.id,
+    deferrals,
+    deferred_since: since,
+    next_download_at: nextAt,
+    job_id: jobId,
+    error: error.message,
+    step: 'download_deferred'
+  }));
+  
+  return { deferrals, nextAt, jobId };
+}
+
+async function processDownloadJob(job, token) {
   const { meetingId } = job.data;
   
   console.log(JSON.stringify({
@@ -67,12 +505,53 @@ async function processDownloadJob(job) {
     step: 'job_start'
   }));
   
+  const meeting = await getMeeting(meetingId);
+  if (!meeting) {
+    throw new Error(`Meeting ${meetingId} not found`);
+  }
+  
+  // A deferred job can fire after the meeting was cancelled
+  if (meeting.state === MeetingStates.CANCELLED) {
+    console.log(JSON.stringify({
+      message: 'Meeting cancelled, skipping download',
+      meeting_id: meetingId,
+      job_id: job.id,
+      step: 'download_skip'
+    }));
+    return { skipped: true };
+  }
+  
+  await updateMeeting(meetingId, {
+    download_attempts: (meeting.download_attempts || 0) + 1,
+    last_download_attempt_at: new Date().toISOString()
+  });
+  
   try {
     // Ensure storage directories exist
     await ensureStorageDirs();
     
-    // Download the video
-    const result = await downloadVideo(meetingId);
+    // Download the video, or each file of a multi-part recording
+    const partSources = await resolveParts(meeting);
+    let result;
+    if (partSources) {
+      result = await downloadParts(meeting, partSources, job);
+    } else {
+      result = await downloadVideo(meeting, job);
+      await verifyDownload(result.meeting, result.outputPath);
+      await updateMeeting(meetingId, { video_part_count: 1, video_parts_joined: 0 });
+    }
+    // A later re-download that finds nothing posted starts a new deferral window
+    await updateMeeting(meetingId, {
+      last_download_error: null,
+      next_download_at: null,
+      download_deferred_since: null,
+      download_deferrals: 0
+    });
+    
+    // Parts that were not joined are hashed back to back
+    await recordContentHash(meeting, result.joined === false
+      ? result.parts.map(part => part.file_path)
+      : [result.outputPath]);
     
     // Advance to next step
     await advanceWorkflow(meetingId, 'DISCOVERED', {
@@ -87,7 +566,48 @@ async function processDownloadJob(job) {
     }));
     
   } catch (error) {
-    await handleWorkflowFailure(meetingId, 'DISCOVERED', error);
+    if (error instanceof DownloadInterruptedError) {
+      // Shutdown, not failure: put the job back without using up an attempt,
+      // and the next worker continues the partial file
+      console.log(JSON.stringify({
+        message: 'Download interrupted, requeued',
+        meeting_id: meetingId,
+        job_id: job.id,
+        step: 'download_interrupted'
+      }));
+      await job.moveToDelayed(Date.now() + 1000, token);
+      throw new DelayedError();
+    }
+    
+    await updateMeeting(meetingId, { last_download_error: error.message });
+    
+    if (error instanceof VideoNotAvailableError) {
+      const deferred = await deferDownload(meeting, error);
+      if (deferred) return { deferred: true, ...deferred };
+      
+      const since = meeting.download_deferred_since || new Date().toISOString();
+      const finalError = new Error(
+        `Video still not available after ${(meeting.download_attempts || 0) + 1} attempts since ${since}: ${error.message}`
+      );
+      await handleWorkflowFailure(meetingId, 'DISCOVERED', finalError);
+      throw finalError;
+    }
+    
+    const attemptsLeft = (job.opts.attempts ?? 1) - (job.attemptsMade + 1);
+    if (error.retryable && attemptsLeft > 0) {
+      // Leave the meeting in DISCOVERED; the queue will try again
+      console.warn(JSON.stringify({
+        message: 'Download will be retried',
+        meeting_id: meetingId,
+        job_id: job.id,
+        error: error.message,
+        code: error.code,
+        attempts_left: attemptsLeft,
+        step: 'download_retry'
+      }));
+    } else {
+      await handleWorkflowFailure(meetingId, 'DISCOVERED', error);
+    }
     throw error;
   }
 }
@@ -134,8 +654,11 @@ async function main() {
   process.on('SIGTERM', async () => {
     console.log(JSON.stringify({
       message: 'Received SIGTERM, closing worker',
+      active_downloads: activeDownloads.size,
       step: 'worker_shutdown'
     }));
+    // worker.close() waits for running jobs; stop the downloads so it does not wait hours
+    activeDownloads.forEach(controller => controller.abort());
     await worker.close();
     await connection.quit();
     process.exit(0);
@@ -144,8 +667,10 @@ async function main() {
   process.on('SIGINT', async () => {
     console.log(JSON.stringify({
       message: 'Received SIGINT, closing worker',
+      active_downloads: activeDownloads.size,
       step: 'worker_shutdown'
     }));
+    activeDownloads.forEach(controller => controller.abort());
     await worker.close();
     await connection.quit();
     process.exit(0);
@@ -1,9 +1,15 @@
 #!/usr/bin/env node
-import { createWorker, connection } from '../queue/config.js';
-import { getMeeting } from '../api/meetings-client.js';
+import { createWorker, createQueue, connection } from '../queue/config.js';
+import { getMeeting, updateMeeting, updateMeetingState, saveMeetingDocument, getVideoParts } from '../api/meetings-client.js';
 import { pathFor, StorageTypes } from '../storage/paths.js';
-import { advanceWorkflow, handleWorkflowFailure } from '../workflow/orchestrator.js';
+import { advanceWorkflow, handleWorkflowFailure, enqueueAudioRetry, resumeDiarization } from '../workflow/orchestrator.js';
 import { QUEUE_NAMES } from '../workflow/config.js';
+import { MeetingStates, AudioStatus } from '../db/init.js';
+import { extractMeetingData, hasRawAgenda, writeTrimmedChapters } from '../agenda/extract.js';
+import { processAttachments } from '../agenda/attachments.js';
+import { embedChapters } from '../media/chaptered-video.js';
+import { prepareAsrAudio } from '../media/asr-audio.js';
+import { detectDeadAir, trimDeadAir } from '../media/dead-air.js';
 import fs from 'fs/promises';
 import { exec } from 'child_process';
 import { promisify } from 'util';
@@ -11,26 +17,9 @@ import 'dotenv/config';
 
 const execAsync = promisify(exec);
 
-const BASE_URL = 'https://pub-cityofgainesville.escribemeetings.com';
-
-function formatTime(ms) {
-  if (!ms) return null;
-  
-  const totalSeconds = Math.floor(ms / 1000);
-  const hours = Math.floor(totalSeconds / 3600);
-  const minutes = Math.floor((totalSeconds % 3600) / 60);
-  const seconds = totalSeconds % 60;
-  
-  return [
-    hours.toString().padStart(2, '0'),
-    minutes.toString().padStart(2, '0'),
-    seconds.toString().padStart(2, '0')
-  ].join(':');
-}
-
-function formatMeetingDate(date) {
-  return date.split(' ')[0].replace(/\//g, '-');
-}
+// Dead air analysis decodes up to an hour of video, so it is opt-in
+const DEAD_AIR_DETECTION = process.env.DEAD_AIR_DETECTION === 'true';
+const DEAD_AIR_TRIM = process.env.DEAD_AIR_TRIM === 'true';
 
 async function extractAudio(videoPath, audioPath) {
   console.log(JSON.stringify({
@@ -79,174 +68,300 @@ async function extractAudio(videoPath, audioPath) {
   }
 }
 
-async function extractAgendaWithTimestamps(meetingId) {
+/**
+ * Whether the meeting's video exists as one file, or only as parts
+ */
+function isSingleFile(meeting) {
+  return !(meeting.video_part_count > 1) || Boolean(meeting.video_parts_joined);
+}
+
+/**
+ * The meeting's video as an ffmpeg input: RAW_VIDEO, or the concat list
+ * of parts that were not joined
+ */
+function videoInputFor(meeting) {
+  return isSingleFile(meeting)
+    ? pathFor(StorageTypes.RAW_VIDEO, meeting.id)
+    : pathFor(StorageTypes.RAW_VIDEO_PARTS, meeting.id);
+}
+
+/**
+ * Extract the audio diarization needs and record on the meeting whether
+ * there is any. The copied track and the ASR-ready copy are each enough.
+ * @returns {Promise<{status: string, error: string|null}>}
+ */
+async function prepareAudio(meeting) {
+  const meetingId = meeting.id;
+  const videoPath = videoInputFor(meeting);
+  const errors = [];
+  const fields = {};
+  
   try {
-    const meetingUrl = `${BASE_URL}/Meeting.aspx?Id=${meetingId}&Agenda=Agenda&lang=English`;
-    
-    console.log(JSON.stringify({
-      message: 'Fetching agenda',
+    await extractAudio(videoPath, pathFor(StorageTypes.DERIVED_AUDIO, meetingId));
+  } catch (audioError) {
+    errors.push(`copy: ${audioError.message}`);
+  }
+  
+  try {
+    const loudness = await prepareAsrAudio(videoPath, pathFor(StorageTypes.DERIVED_AUDIO_ASR, meetingId));
+    fields.audio_loudness = JSON.stringify(loudness);
+  } catch (asrError) {
+    errors.push(`asr: ${asrError.message}`);
+    console.warn(JSON.stringify({
+      message: 'ASR audio preparation failed',
       meeting_id: meetingId,
-      url: meetingUrl,
-      step: 'agenda_fetch'
+      error: asrError.message,
+      stderr: asrError.stderr,
+      step: 'asr_audio_warning'
     }));
-    
-    const response = await fetch(meetingUrl);
-    const html = await response.text();
-    
-    const bookmarksMatch = html.match(/Bookmarks\s*:\s*\[(.*?)\]/s);
-    
-    if (!bookmarksMatch || !bookmarksMatch[1]) {
-      console.log(JSON.stringify({
-        message: 'No bookmarks found',
-        meeting_id: meetingId,
-        step: 'agenda_extract'
-      }));
-      return { meetingId, agendaItems: [] };
-    }
-    
-    const bookmarksJson = `[${bookmarksMatch[1]}]`;
-    const bookmarks = JSON.parse(bookmarksJson);
-    
-    const agendaItems = [];
-    const itemMatches = html.matchAll(/<DIV class=['"]AgendaItem AgendaItem(\d+)['"].*?<DIV class=['"]AgendaItemTitle['"].*?><a.*?>(.*?)<\/a>/gs);
-    
-    for (const match of itemMatches) {
-      const itemId = parseInt(match[1], 10);
-      const itemTitle = match[2].trim();
-      
-      const bookmark = bookmarks.find(b => b.AgendaItemId === itemId);
-      
-      if (bookmark) {
-        agendaItems.push({
-          id: itemId,
-          title: itemTitle,
-          timeStart: bookmark.TimeStart,
-          timeEnd: bookmark.TimeEnd,
-          startTime: formatTime(bookmark.TimeStart),
-          endTime: formatTime(bookmark.TimeEnd),
-          durationSeconds: Math.floor((bookmark.TimeEnd - bookmark.TimeStart) / 1000)
-        });
-      } else {
-        agendaItems.push({
-          id: itemId,
-          title: itemTitle,
-          timeStart: null,
-          timeEnd: null,
-          startTime: null,
-          endTime: null,
-          durationSeconds: null
-        });
-      }
-    }
-    
-    agendaItems.sort((a, b) => (a.timeStart || Infinity) - (b.timeStart || Infinity));
-    
-    return {
-      meetingId,
-      agendaItems,
-      rawBookmarks: bookmarks
-    };
-  } catch (error) {
+  }
+  
+  const status = errors.length < 2 ? AudioStatus.AVAILABLE : AudioStatus.UNAVAILABLE;
+  const error = errors.length > 0 ? errors.join('; ') : null;
+  await updateMeeting(meetingId, { ...fields, audio_status: status, audio_error: error });
+  
+  if (status === AudioStatus.UNAVAILABLE) {
     console.error(JSON.stringify({
-      message: 'Agenda extraction error',
+      message: 'Audio unavailable for diarization',
       meeting_id: meetingId,
-      error: error.message,
-      step: 'agenda_extract_error'
+      error,
+      step: 'audio_unavailable'
     }));
-    throw error;
   }
+  
+  return { status, error };
+}
+
+/**
+ * Retry audio extraction alone. Throws while audio is still missing so the
+ * queue's backoff schedules the next attempt; once it succeeds, a meeting
+ * parked in AUDIO_UNAVAILABLE goes back to diarization.
+ */
+async function processAudioJob(job) {
+  const { meetingId } = job.data;
+  
+  console.log(JSON.stringify({
+    message: 'Processing audio job',
+    meeting_id: meetingId,
+    job_id: job.id,
+    attempt: job.attemptsMade + 1,
+    step: 'job_start'
+  }));
+  
+  const meeting = await getMeeting(meetingId);
+  if (!meeting) {
+    console.warn(JSON.stringify({
+      message: 'Meeting no longer exists, skipping audio retry',
+      meeting_id: meetingId,
+      job_id: job.id,
+      step: 'audio_skip'
+    }));
+    return { skipped: true };
+  }
+  
+  const audio = await prepareAudio(meeting);
+  if (audio.status !== AudioStatus.AVAILABLE) {
+    throw new Error(`Audio still unavailable: ${audio.error}`);
+  }
+  
+  if (meeting.state === MeetingStates.AUDIO_UNAVAILABLE) {
+    if (meeting.youtube_video_id || meeting.youtube_url) {
+      await resumeDiarization(meetingId);
+    } else {
+      // Parked by the extract step; the queued upload moves it on from here
+      await updateMeetingState(meetingId, 'EXTRACTED');
+    }
+  }
+  
+  console.log(JSON.stringify({
+    message: 'Audio job completed',
+    meeting_id: meetingId,
+    job_id: job.id,
+    state: meeting.state,
+    step: 'job_complete'
+  }));
+  
+  return { audioStatus: audio.status };
 }
 
-function generateYouTubeChapters(meeting, agendaData) {
-  const { title: meetingTitle, date } = meeting;
-  const { agendaItems } = agendaData;
+/**
+ * Find the leading dead air, store the offsets and, with DEAD_AIR_TRIM, cut
+ * a trimmed video with chapters shifted to match
+ */
+async function analyzeDeadAir(meeting, agendaData) {
+  const videoPath = videoInputFor(meeting);
+  // The first bookmarked agenda item is the latest the meeting can start
+  const firstItem = agendaData.agendaItems.find(item => item.timeStart !== null && item.timeStart > 0);
+  const deadAir = await detectDeadAir(videoPath, {
+    maxStartSeconds: firstItem ? firstItem.timeStart / 1000 : null
+  });
+  
+  // A trim from an earlier run no longer applies unless it is redone below
+  await updateMeeting(meeting.id, {
+    dead_air: JSON.stringify({ ...deadAir, detected_at: new Date().toISOString() }),
+    trim_start_seconds: null
+  });
   
-  const chaptersItems = agendaItems
-    .filter(item => item.timeStart !== null)
-    .sort((a, b) => a.timeStart - b.timeStart);
+  if (!DEAD_AIR_TRIM || deadAir.startOffset === 0) return;
   
-  if (chaptersItems.length === 0) {
+  if (!isSingleFile(meeting)) {
     console.log(JSON.stringify({
-      message: 'No timestamped agenda items',
+      message: 'Video parts were not joined, not trimming',
       meeting_id: meeting.id,
-      step: 'chapter_generation'
+      start_offset: deadAir.startOffset,
+      step: 'dead_air_trim'
     }));
-    return '';
+    return;
+  }
+  
+  const { trimStartSeconds } = await trimDeadAir(meeting, deadAir.startOffset);
+  await updateMeeting(meeting.id, { trim_start_seconds: trimStartSeconds });
+  await writeTrimmedChapters(meeting, agendaData, trimStartSeconds);
+}
+
+async function extractForMeeting(meetingId, options = {}) {
+  const meeting = await getMeeting(meetingId);
+  
+  if (!meeting) {
+    throw new Error(`Meeting ${meetingId} not found`);
   }
   
-  const formattedDate = formatMeetingDate(date);
+  // Bookmarks and chapters of a multi-part recording follow its parts
+  const parts = meeting.video_part_count > 1 ? await getVideoParts(meetingId) : [];
   
-  let chaptersText = `${meetingTitle} - ${formattedDate}\n\n`;
-  chaptersText += 'Chapters:\n';
+  return { meeting, ...await extractMeetingData(meeting, { ...options, parts }) };
+}
+
+/**
+ * Download agenda attachments, extract their text and record them via the API
+ */
+async function saveAttachments(meeting, agendaData) {
+  const documents = await processAttachments(meeting, agendaData);
   
-  for (const item of chaptersItems) {
-    if (item === chaptersItems[0] && item.startTime !== '00:00:00') {
-      chaptersText += `00:00:00 Pre-meeting\n`;
-    }
-    
-    chaptersText += `${item.startTime} ${item.title}\n`;
+  for (const document of documents) {
+    await saveMeetingDocument(meeting.id, document);
   }
   
-  return chaptersText;
+  return documents;
 }
 
-async function extractMeetingData(meetingId) {
+async function fileExists(filePath) {
   try {
-    const meeting = await getMeeting(meetingId);
-    
-    if (!meeting) {
-      throw new Error(`Meeting ${meetingId} not found`);
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Rebuild the chaptered archive copy with the meeting's current title, date
+ * and chapters. When it cannot be rebuilt (the raw video was cleaned up, or
+ * ffmpeg failed) an existing copy is removed rather than left stale.
+ */
+async function refreshChapteredVideo(meeting, chapters) {
+  const chapteredPath = pathFor(StorageTypes.DERIVED_VIDEO_CHAPTERED, meeting.id);
+  const canRebuild = chapters.length > 0
+    && isSingleFile(meeting)
+    && await fileExists(pathFor(StorageTypes.RAW_VIDEO, meeting.id));
+  
+  if (canRebuild) {
+    try {
+      await embedChapters(meeting, chapters);
+      return;
+    } catch (embedError) {
+      console.error(JSON.stringify({
+        message: 'Chapter embedding failed, removing the stale chaptered video',
+        meeting_id: meeting.id,
+        error: embedError.message,
+        stderr: embedError.stderr,
+        step: 'chapter_embed_warning'
+      }));
     }
-    
+  }
+  
+  if (await fileExists(chapteredPath)) {
+    await fs.rm(chapteredPath, { force: true });
     console.log(JSON.stringify({
-      message: 'Starting agenda extraction',
+      message: 'Removed stale chaptered video',
+      meeting_id: meeting.id,
+      output_path: chapteredPath,
+      step: 'chapter_embed'
+    }));
+  }
+}
+
+/**
+ * Regenerate agenda data and chapters for a meeting whose calendar details
+ * changed after extraction. Does not advance the workflow.
+ */
+async function processReextractJob(job) {
+  const { meetingId } = job.data;
+  
+  console.log(JSON.stringify({
+    message: 'Processing re-extract job',
+    meeting_id: meetingId,
+    job_id: job.id,
+    step: 'job_start'
+  }));
+  
+  if (!await getMeeting(meetingId)) {
+    console.warn(JSON.stringify({
+      message: 'Meeting no longer exists, skipping re-extract',
       meeting_id: meetingId,
-      step: 'extract_start'
+      job_id: job.id,
+      step: 'reextract_skip'
     }));
-    
-    // Extract agenda data
-    const agendaData = await extractAgendaWithTimestamps(meetingId);
-    
-    // Generate chapters
-    const chaptersText = generateYouTubeChapters(meeting, agendaData);
-    
-    // Save chapters to deterministic location
-    const chaptersPath = pathFor(StorageTypes.DERIVED_CHAPTERS, meetingId);
-    await fs.writeFile(chaptersPath, chaptersText);
-    
-    // Save metadata to deterministic location
-    const metadataPath = pathFor(StorageTypes.DERIVED_METADATA, meetingId);
-    await fs.writeFile(metadataPath, JSON.stringify({
-      meetingId,
-      title: meeting.title,
-      date: meeting.date,
-      agendaData,
-      chaptersText,
-      extractedAt: new Date().toISOString()
-    }, null, 2));
+    return { skipped: true };
+  }
+  
+  // Calendar changes do not change the agenda page, so the saved copy is
+  // enough unless the job asks for a fresh fetch
+  const fromRaw = job.data.fromRaw ?? await hasRawAgenda(meetingId);
+  const result = await extractForMeeting(meetingId, { fromRaw });
+  
+  await updateMeeting(meetingId, {
+    agenda_data: JSON.stringify(result.agendaData),
+    chapters_text: result.chaptersText
+  });
+  
+  // The archive copy embeds the title, date and chapters that just changed
+  await refreshChapteredVideo(result.meeting, result.chapters);
+  
+  const { meeting } = result;
+  
+  if (meeting.youtube_video_id || meeting.youtube_url) {
+    const queue = createQueue(QUEUE_NAMES.UPLOAD);
+    const jobId = `retitle-${meetingId}-${Date.now()}`;
+    await queue.add('retitle', { meetingId }, { jobId });
+    await queue.close();
     
     console.log(JSON.stringify({
-      message: 'Agenda extraction complete',
+      message: 'Enqueued YouTube retitle',
       meeting_id: meetingId,
-      agenda_items: agendaData.agendaItems.length,
-      chapters_path: chaptersPath,
-      metadata_path: metadataPath,
-      step: 'extract_complete'
+      queue: QUEUE_NAMES.UPLOAD,
+      job_id: jobId,
+      step: 'workflow_enqueue'
     }));
-    
-    return {
-      agendaData,
-      chaptersText,
-      chaptersPath,
-      metadataPath
-    };
-    
-  } catch (error) {
-    throw error;
   }
+  
+  console.log(JSON.stringify({
+    message: 'Re-extract job completed',
+    meeting_id: meetingId,
+    job_id: job.id,
+    step: 'job_complete'
+  }));
 }
 
 async function processExtractJob(job) {
+  if (job.name === 'reextract') {
+    return processReextractJob(job);
+  }
+  
+  if (job.name === 'audio') {
+    return processAudioJob(job);
+  }
+  
   const { meetingId } = job.data;
   
   console.log(JSON.stringify({
@@ -258,37 +373,80 @@ async function processExtractJob(job) {
   
   try {
     // Extract agenda and generate chapters
-    const result = await extractMeetingData(meetingId);
-    
-    // Extract audio from video for diarization
-    const videoPath = pathFor(StorageTypes.RAW_VIDEO, meetingId);
-    const audioPath = pathFor(StorageTypes.DERIVED_AUDIO, meetingId);
+    const result = await extractForMeeting(meetingId);
     
     try {
-      await extractAudio(videoPath, audioPath);
-    } catch (audioError) {
-      // Log error but don't fail the job - diarization is optional
+      await saveAttachments(result.meeting, result.agendaData);
+    } catch (attachmentError) {
+      // Attachments enrich the description and search; they never block the video
       console.error(JSON.stringify({
-        message: 'Audio extraction failed but continuing',
+        message: 'Attachment processing failed but continuing',
         meeting_id: meetingId,
-        error: audioError.message,
-        step: 'audio_extract_warning'
+        error: attachmentError.message,
+        step: 'attachments_warning'
       }));
     }
     
-    // Advance to next step
+    // Audio only feeds diarization, so the video goes on to YouTube without
+    // it; the audio is retried on its own and diarization waits for it
+    const audio = await prepareAudio(result.meeting);
+    let audioRetryJobId = null;
+    if (audio.status === AudioStatus.UNAVAILABLE) {
+      audioRetryJobId = await enqueueAudioRetry(meetingId);
+    }
+    
+    if (DEAD_AIR_DETECTION) {
+      try {
+        await analyzeDeadAir(result.meeting, result.agendaData);
+      } catch (deadAirError) {
+        // The full recording is always there to upload
+        console.error(JSON.stringify({
+          message: 'Dead air analysis failed but continuing',
+          meeting_id: meetingId,
+          error: deadAirError.message,
+          stderr: deadAirError.stderr,
+          step: 'dead_air_warning'
+        }));
+      }
+    }
+    
+    // The archive copy is made from one file
+    if (result.chapters.length > 0 && isSingleFile(result.meeting)) {
+      try {
+        await embedChapters(result.meeting, result.chapters);
+      } catch (embedError) {
+        // The chaptered copy is for archive downloads; YouTube gets its chapters from the description
+        console.error(JSON.stringify({
+          message: 'Chapter embedding failed but continuing',
+          meeting_id: meetingId,
+          error: embedError.message,
+          stderr: embedError.stderr,
+          step: 'chapter_embed_warning'
+        }));
+      }
+    }
+    
+    // Advance to next step. Without audio the upload still goes ahead, but
+    // the meeting shows AUDIO_UNAVAILABLE until the audio retry succeeds
     await advanceWorkflow(meetingId, 'DOWNLOADED', {
       agenda_data: result.agendaData,
-      chapters_text: result.chaptersText
+      chapters_text: result.chaptersText,
+      ...(audioRetryJobId && { error: `Audio unavailable: ${audio.error}` })
+    }, {
+      state: audioRetryJobId ? MeetingStates.AUDIO_UNAVAILABLE : null
     });
     
     console.log(JSON.stringify({
       message: 'Extract job completed',
       meeting_id: meetingId,
       job_id: job.id,
+      audio_status: audio.status,
+      audio_retry_job_id: audioRetryJobId,
       step: 'job_complete'
     }));
     
+    return { audioStatus: audio.status, audioError: audio.error, audioRetryJobId };
+    
   } catch (error) {
     await handleWorkflowFailure(meetingId, 'DOWNLOADED', error);
     throw error;
@@ -1,38 +1,433 @@
 #!/usr/bin/env node
+import { DelayedError } from 'bullmq';
 import { createWorker, connection } from '../queue/config.js';
-import { getMeeting } from '../api/meetings-client.js';
-import { pathFor, StorageTypes } from '../storage/paths.js';
+import { getMeeting, getMeetingDocuments, updateMeeting, getVideoParts, saveVideoParts, updateVideoPart } from '../api/meetings-client.js';
+import { pathFor, StorageTypes, exists } from '../storage/paths.js';
 import { advanceWorkflow, handleWorkflowFailure } from '../workflow/orchestrator.js';
 import { QUEUE_NAMES } from '../workflow/config.js';
-import { uploadToYouTube } from '../youtube-uploader.js';
+import { formatMeetingDate } from '../lib/dates.js';
+import { classifyMeeting, playlistIdsForBody } from '../bodies/classifier.js';
+import { uploadToYouTube, updateYouTubeVideo, addToPlaylists, findUploadedVideo } from '../youtube-uploader.js';
+import { PART_UPLOAD_MODE, PartUploadModes } from '../media/video-parts.js';
 import fs from 'fs/promises';
 import 'dotenv/config';
 
-// Map meeting titles to YouTube playlist IDs using regex patterns
-const PLAYLIST_MAPPINGS = [
-  { pattern: /^City Commission/i, playlistId: process.env.PLAYLIST_CITY_COMMISSION },
-  { pattern: /^General Policy Committee/i, playlistId: process.env.PLAYLIST_GENERAL_POLICY },
-  { pattern: /^City Plan Board/i, playlistId: process.env.PLAYLIST_CITY_PLAN_BOARD },
-  { pattern: /^Utility Advisory Board/i, playlistId: process.env.PLAYLIST_UTILITY_ADVISORY_BOARD},
-];
+// Publish the cut without leading dead air when the extract step made one
+const UPLOAD_TRIMMED = process.env.UPLOAD_TRIMMED === 'true';
 
-function formatMeetingDate(date) {
-  return date.split(' ')[0].replace(/\//g, '-');
+// A meeting whose video duplicates another's waits this long between checks
+// for the original's upload, and gives up and uploads its own copy after the max
+const ALIAS_WAIT_MINUTES = parseFloat(process.env.ALIAS_WAIT_MINUTES) || 30;
+const ALIAS_WAIT_MAX_HOURS = parseFloat(process.env.ALIAS_WAIT_MAX_HOURS) || 24;
+
+// Originals in these states will never be uploaded
+const UNPUBLISHED_STATES = ['FAILED', 'CANCELLED'];
+
+// Upload progress goes to BullMQ at most this often
+const PROGRESS_INTERVAL_MS = 5000;
+
+/**
+ * Options that keep a meeting's resumable upload session on the meeting, so
+ * a retried job continues where the last one stopped, and report progress
+ * to the job. One upload at a time per meeting, parts included.
+ */
+function resumableUploadOptions(meeting, job, part = null) {
+  let lastUpdate = 0;
+  
+  return {
+    session: meeting.youtube_upload_session ? JSON.parse(meeting.youtube_upload_session) : null,
+    onSession: async (session) => {
+      meeting.youtube_upload_session = session ? JSON.stringify(session) : null;
+      await updateMeeting(meeting.id, { youtube_upload_session: meeting.youtube_upload_session });
+    },
+    onProgress: (progress) => {
+      const now = Date.now();
+      if (now - lastUpdate < PROGRESS_INTERVAL_MS && progress.percent !== 100) return;
+      lastUpdate = now;
+      job.updateProgress({
+        percent: progress.percent,
+        uploaded_bytes: progress.uploadedBytes,
+        total_bytes: progress.totalBytes,
+        ...(part && { part })
+      }).catch(() => {
+        // Progress is informational; a lost update is not worth failing over
+      });
+    }
+  };
+}
+
+/**
+ * Tag that identifies a meeting's upload (or one part's) on the channel
+ */
+function uploadMarker(meetingId, part = null) {
+  return part ? `gnv-meeting-${meetingId}-part${part}` : `gnv-meeting-${meetingId}`;
+}
+
+async function recordUploadIntent(meeting, intent) {
+  meeting.youtube_upload_intent = intent ? JSON.stringify(intent) : null;
+  await updateMeeting(meeting.id, { youtube_upload_intent: meeting.youtube_upload_intent });
+}
+
+/**
+ * Upload a video unless an earlier attempt already got it onto YouTube.
+ *
+ * The intent is recorded before uploading and the video ID as soon as
+ * YouTube returns it. An attempt that dies after that (e.g. while advancing
+ * the workflow) leaves the intent behind, and the retry reuses the video it
+ * finds by ID or by marker tag instead of uploading a second copy.
+ * @param {Object} meeting - Meeting row
+ * @param {Object} options
+ * @param {number} [options.part] - Part index, for series uploads
+ * @param {string[]} options.playlistIds - Playlists the video belongs in
+ * @param {Object} options.upload - Options for uploadToYouTube
+ * @param {Function} options.onVideoId - Awaited with the new video's ID and URL
+ * @returns {Promise<Object>} - Upload result, with `reused` when nothing was uploaded
+ */
+async function uploadOnce(meeting, { part = null, playlistIds, upload, onVideoId }) {
+  const marker = uploadMarker(meeting.id, part);
+  const intent = meeting.youtube_upload_intent ? JSON.parse(meeting.youtube_upload_intent) : null;
+  
+  if (intent?.marker === marker) {
+    const videoId = await findUploadedVideo({ videoId: intent.video_id, marker, since: intent.started_at });
+    if (videoId) {
+      const url = `https://youtu.be/${videoId}`;
+      console.log(JSON.stringify({
+        message: 'Reusing video from an earlier upload attempt',
+        meeting_id: meeting.id,
+        part,
+        video_id: videoId,
+        found_by: intent.video_id ? 'video_id' : 'marker',
+        step: 'upload_reuse'
+      }));
+      await onVideoId(videoId, url);
+      await upload.onSession?.(null);
+      return {
+        videoId,
+        url,
+        playlistResults: playlistIds.length > 0 ? await addToPlaylists(videoId, playlistIds) : null,
+        reused: true
+      };
+    }
+  }
+  
+  const started = { marker, part, started_at: new Date().toISOString() };
+  await recordUploadIntent(meeting, started);
+  
+  return uploadToYouTube({
+    ...upload,
+    playlistIds,
+    marker,
+    onUploaded: async (videoId) => {
+      await recordUploadIntent(meeting, { ...started, video_id: videoId });
+      await onVideoId(videoId, `https://youtu.be/${videoId}`);
+    }
+  });
+}
+
+function determinePlaylistIds(meeting) {
+  // Meetings discovered before bodies were tracked have no body_id yet
+  const bodyId = meeting.body_id || classifyMeeting(meeting).bodyId;
+  return bodyId ? playlistIdsForBody(bodyId) : [];
+}
+
+function buildVideoTitle(meeting, part = null) {
+  const partLabel = part ? ` (Part ${part.part_index} of ${part.count})` : '';
+  return `${meeting.title}${partLabel} - ${formatMeetingDate(meeting.date)} | GNV FL`;
+}
+
+// YouTube rejects descriptions longer than this
+const MAX_DESCRIPTION_LENGTH = 5000;
+
+/**
+ * Chapters followed by links to the agenda attachments, as many as fit
+ */
+async function buildDescription(meeting, chaptersText) {
+  let documents = [];
+  try {
+    documents = await getMeetingDocuments(meeting.id);
+  } catch (error) {
+    console.warn(JSON.stringify({
+      message: 'Could not load documents for description',
+      meeting_id: meeting.id,
+      error: error.message,
+      step: 'upload_documents'
+    }));
+  }
+  
+  const linked = documents.filter(document => document.status !== 'failed' && document.url);
+  if (linked.length === 0) return chaptersText;
+  
+  let description = `${chaptersText.trimEnd()}\n\nAgenda documents:\n`;
+  let included = 0;
+  
+  for (const document of linked) {
+    const line = `${document.title || 'Document'}: ${document.url}\n`;
+    if (description.length + line.length > MAX_DESCRIPTION_LENGTH) break;
+    description += line;
+    included++;
+  }
+  
+  if (included < linked.length) {
+    console.log(JSON.stringify({
+      message: 'Description limit reached, some documents not linked',
+      meeting_id: meeting.id,
+      linked: included,
+      total: linked.length,
+      step: 'upload_documents'
+    }));
+  }
+  
+  return included > 0 ? description : chaptersText;
+}
+
+function videoIdFor(meeting) {
+  if (meeting.youtube_video_id) return meeting.youtube_video_id;
+  // Meetings uploaded before video ids were stored only have the short URL
+  const match = meeting.youtube_url?.match(/youtu\.be\/([\w-]+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Which cut of the video to upload, with the chapters that match it
+ */
+async function selectCut(meeting) {
+  const trimmed = UPLOAD_TRIMMED
+    && meeting.trim_start_seconds > 0
+    && await exists(StorageTypes.DERIVED_VIDEO_TRIMMED, meeting.id)
+    && await exists(StorageTypes.DERIVED_CHAPTERS_TRIMMED, meeting.id);
+  
+  return trimmed
+    ? { trimmed: true, videoType: StorageTypes.DERIVED_VIDEO_TRIMMED, chaptersType: StorageTypes.DERIVED_CHAPTERS_TRIMMED }
+    : { trimmed: false, videoType: StorageTypes.RAW_VIDEO, chaptersType: StorageTypes.DERIVED_CHAPTERS };
+}
+
+async function readChaptersText(meetingId, chaptersType = StorageTypes.DERIVED_CHAPTERS, options = {}) {
+  const chaptersPath = pathFor(chaptersType, meetingId, options);
+  try {
+    return await fs.readFile(chaptersPath, 'utf8');
+  } catch (error) {
+    console.log(JSON.stringify({
+      message: 'No chapters file found, using empty description',
+      meeting_id: meetingId,
+      chapters_path: chaptersPath,
+      step: 'upload_chapters'
+    }));
+    return '';
+  }
+}
+
+/**
+ * Whether a meeting goes up as one video per part. Parts that were never
+ * joined can only be published that way.
+ */
+function publishAsSeries(meeting) {
+  return meeting.video_part_count > 1
+    && (PART_UPLOAD_MODE === PartUploadModes.SERIES || !meeting.video_parts_joined);
+}
+
+/**
+ * Description of one part: its chapters, then links to the other parts
+ */
+async function buildPartDescription(meeting, parts, part) {
+  const chaptersText = await readChaptersText(meeting.id, StorageTypes.DERIVED_CHAPTERS_PART, { part: part.part_index });
+  const links = parts
+    .filter(other => other.youtube_url)
+    .map(other => `Part ${other.part_index}: ${other.youtube_url}${other.part_index === part.part_index ? ' (this video)' : ''}`);
+  
+  const series = `This meeting was recorded in ${parts.length} parts.\n${links.join('\n')}`.trimEnd();
+  return buildDescription(meeting, `${chaptersText.trimEnd()}\n\n${series}\n`);
+}
+
+/**
+ * Upload each part of a multi-part meeting as its own video, then link the
+ * parts to each other. Parts already on YouTube are not uploaded again.
+ * @returns {Promise<Object>} - The first part's upload result, with every part
+ */
+async function uploadSeries(meeting, playlistIds, job) {
+  const parts = await getVideoParts(meeting.id);
+  if (parts.length === 0) {
+    throw new Error(`Meeting ${meeting.id} has ${meeting.video_part_count} video parts but none are recorded`);
+  }
+  
+  const playlistResults = [];
+  
+  for (const part of parts) {
+    if (part.youtube_video_id) {
+      console.log(JSON.stringify({
+        message: 'Video part already uploaded',
+        meeting_id: meeting.id,
+        part: part.part_index,
+        video_id: part.youtube_video_id,
+        step: 'upload_part_skip'
+      }));
+      continue;
+    }
+    
+    const videoPath = pathFor(StorageTypes.RAW_VIDEO_PART, meeting.id, { part: part.part_index });
+    
+    console.log(JSON.stringify({
+      message: 'Starting YouTube upload of video part',
+      meeting_id: meeting.id,
+      part: part.part_index,
+      parts: parts.length,
+      video_path: videoPath,
+      step: 'upload_start'
+    }));
+    
+    const ytResult = await uploadOnce(meeting, {
+      part: part.part_index,
+      playlistIds,
+      upload: {
+        videoPath,
+        title: buildVideoTitle(meeting, { part_index: part.part_index, count: parts.length }),
+        description: await buildPartDescription(meeting, parts, part),
+        tags: ['Gainesville'],
+        privacyStatus: 'public',
+        ...resumableUploadOptions(meeting, job, part.part_index)
+      },
+      // Stored straight away so a failure on a later part does not re-upload this one
+      onVideoId: (videoId, url) => updateVideoPart(meeting.id, part.part_index, { youtube_video_id: videoId, youtube_url: url })
+    });
+    
+    part.youtube_video_id = ytResult.videoId;
+    part.youtube_url = ytResult.url;
+    playlistResults.push(...(ytResult.playlistResults || []));
+    
+    console.log(JSON.stringify({
+      message: 'YouTube upload of video part complete',
+      meeting_id: meeting.id,
+      part: part.part_index,
+      youtube_url: ytResult.url,
+      video_id: ytResult.videoId,
+      step: 'upload_complete'
+    }));
+  }
+  
+  // Earlier parts were uploaded before the later ones had links
+  await updateSeriesMetadata(meeting, parts);
+  await updateMeeting(meeting.id, { youtube_series: 1, youtube_trimmed: 0 });
+  
+  return {
+    url: parts[0].youtube_url,
+    videoId: parts[0].youtube_video_id,
+    playlistResults: playlistResults.length > 0 ? playlistResults : null,
+    parts: parts.map(({ part_index, youtube_video_id, youtube_url }) => ({ part_index, youtube_video_id, youtube_url }))
+  };
+}
+
+/**
+ * Push the current title, chapters and part links to every published part
+ */
+async function updateSeriesMetadata(meeting, parts) {
+  for (const part of parts.filter(part => part.youtube_video_id)) {
+    await updateYouTubeVideo({
+      videoId: part.youtube_video_id,
+      title: buildVideoTitle(meeting, { part_index: part.part_index, count: parts.length }),
+      description: await buildPartDescription(meeting, parts, part)
+    });
+  }
 }
 
-function determinePlaylistIds(meetingTitle) {
-  const playlistIds = [];
+/**
+ * Copy each part's YouTube video from an original published as a series to
+ * its alias, so the alias's part links point at the published parts
+ * @returns {Promise<Array>} - The original's parts
+ */
+async function attachSeriesParts(meeting, original) {
+  const parts = await getVideoParts(original.id);
+  const ownParts = await getVideoParts(meeting.id);
   
-  for (const mapping of PLAYLIST_MAPPINGS) {
-    if (mapping.pattern.test(meetingTitle) && mapping.playlistId && mapping.playlistId.trim() !== '') {
-      playlistIds.push(mapping.playlistId);
+  // Same recording, but the alias needs a row for every published part
+  if (ownParts.length !== parts.length) {
+    await saveVideoParts(meeting.id, parts);
+  }
+  
+  for (const part of parts) {
+    await updateVideoPart(meeting.id, part.part_index, {
+      youtube_video_id: part.youtube_video_id,
+      youtube_url: part.youtube_url
+    });
+  }
+  
+  return parts;
+}
+
+/**
+ * Give a meeting the YouTube video already uploaded for its original, and
+ * add it to this meeting's playlists (a joint meeting belongs to each body).
+ * A series original hands over every part.
+ * @returns {Promise<Object>} - Result shaped like an upload's
+ */
+async function attachExistingVideo(meeting, original) {
+  const videoId = videoIdFor(original);
+  const parts = original.youtube_series ? await attachSeriesParts(meeting, original) : [];
+  const videoIds = parts.length > 0 ? parts.map(part => part.youtube_video_id).filter(Boolean) : [videoId];
+  
+  const originalPlaylists = new Set(determinePlaylistIds(original));
+  const playlistIds = determinePlaylistIds(meeting).filter(id => !originalPlaylists.has(id));
+  const playlistResults = [];
+  if (playlistIds.length > 0) {
+    for (const id of videoIds) {
+      playlistResults.push(...(await addToPlaylists(id, playlistIds) || []));
     }
   }
   
-  return playlistIds;
+  await updateMeeting(meeting.id, {
+    youtube_trimmed: original.youtube_trimmed ? 1 : 0,
+    youtube_series: parts.length > 0 ? 1 : 0
+  });
+  
+  console.log(JSON.stringify({
+    message: 'Attached existing YouTube video',
+    meeting_id: meeting.id,
+    alias_of: original.id,
+    video_id: videoId,
+    ...(parts.length > 0 && { parts: parts.length }),
+    playlist_ids: playlistIds,
+    step: 'upload_alias'
+  }));
+  
+  return {
+    url: original.youtube_url || `https://youtu.be/${videoId}`,
+    videoId,
+    playlistResults: playlistResults.length > 0 ? playlistResults : null
+  };
+}
+
+/**
+ * For a meeting whose video duplicates another meeting's, the original once
+ * it is on YouTube. Waits (by delaying the job) while the original may still
+ * be uploaded; null means upload this meeting's own copy.
+ */
+async function originalForAlias(meeting, job, token) {
+  const original = await getMeeting(meeting.alias_of);
+  if (original && videoIdFor(original)) return original;
+  
+  const waitedHours = (Date.now() - job.timestamp) / (60 * 60 * 1000);
+  if (original && !UNPUBLISHED_STATES.includes(original.state) && waitedHours < ALIAS_WAIT_MAX_HOURS) {
+    console.log(JSON.stringify({
+      message: 'Waiting for the original meeting to be uploaded',
+      meeting_id: meeting.id,
+      alias_of: meeting.alias_of,
+      original_state: original.state,
+      retry_in_minutes: ALIAS_WAIT_MINUTES,
+      step: 'upload_alias_wait'
+    }));
+    await job.moveToDelayed(Date.now() + ALIAS_WAIT_MINUTES * 60 * 1000, token);
+    throw new DelayedError();
+  }
+  
+  console.warn(JSON.stringify({
+    message: 'Original meeting has no YouTube video, uploading this copy',
+    meeting_id: meeting.id,
+    alias_of: meeting.alias_of,
+    original_state: original?.state ?? null,
+    step: 'upload_alias_fallback'
+  }));
+  return null;
 }
 
-async function uploadMeetingToYouTube(meetingId) {
+async function uploadMeetingToYouTube(meetingId, job) {
   try {
     const meeting = await getMeeting(meetingId);
     
@@ -40,27 +435,21 @@ async function uploadMeetingToYouTube(meetingId) {
       throw new Error(`Meeting ${meetingId} not found`);
     }
     
+    if (publishAsSeries(meeting)) {
+      return uploadSeries(meeting, determinePlaylistIds(meeting), job);
+    }
+    
     // Get video path
-    const videoPath = pathFor(StorageTypes.RAW_VIDEO, meetingId);
+    const cut = await selectCut(meeting);
+    const videoPath = pathFor(cut.videoType, meetingId);
     
     // Get chapters text
-    const chaptersPath = pathFor(StorageTypes.DERIVED_CHAPTERS, meetingId);
-    let chaptersText = '';
-    try {
-      chaptersText = await fs.readFile(chaptersPath, 'utf8');
-    } catch (error) {
-      console.log(JSON.stringify({
-        message: 'No chapters file found, using empty description',
-        meeting_id: meetingId,
-        chapters_path: chaptersPath,
-        step: 'upload_chapters'
-      }));
-    }
+    const chaptersText = await readChaptersText(meetingId, cut.chaptersType);
     
-    const title = `${meeting.title} - ${formatMeetingDate(meeting.date)} | GNV FL`;
+    const title = buildVideoTitle(meeting);
     
     // Determine playlists
-    const playlistIds = determinePlaylistIds(meeting.title);
+    const playlistIds = determinePlaylistIds(meeting);
     if (playlistIds.length > 0) {
       console.log(JSON.stringify({
         message: 'Adding video to playlists',
@@ -82,16 +471,22 @@ async function uploadMeetingToYouTube(meetingId) {
       meeting_id: meetingId,
       title,
       video_path: videoPath,
+      trimmed: cut.trimmed,
+      trim_start_seconds: cut.trimmed ? meeting.trim_start_seconds : null,
       step: 'upload_start'
     }));
     
-    const ytResult = await uploadToYouTube({
-      videoPath,
-      title,
-      description: chaptersText,
-      tags: ['Gainesville'],
-      privacyStatus: 'public',
-      playlistIds
+    const ytResult = await uploadOnce(meeting, {
+      playlistIds,
+      upload: {
+        videoPath,
+        title,
+        description: await buildDescription(meeting, chaptersText),
+        tags: ['Gainesville'],
+        privacyStatus: 'public',
+        ...resumableUploadOptions(meeting, job)
+      },
+      onVideoId: (videoId, url) => updateMeeting(meetingId, { youtube_video_id: videoId, youtube_url: url })
     });
     
     console.log(JSON.stringify({
@@ -99,10 +494,14 @@ async function uploadMeetingToYouTube(meetingId) {
       meeting_id: meetingId,
       youtube_url: ytResult.url,
       video_id: ytResult.videoId,
+      reused: Boolean(ytResult.reused),
       playlist_results: ytResult.playlistResults,
       step: 'upload_complete'
     }));
     
+    // Retitles must keep the chapters of the cut that was published
+    await updateMeeting(meetingId, { youtube_trimmed: cut.trimmed ? 1 : 0, youtube_series: 0 });
+    
     return ytResult;
     
   } catch (error) {
@@ -110,7 +509,100 @@ async function uploadMeetingToYouTube(meetingId) {
   }
 }
 
-async function processUploadJob(job) {
+/**
+ * Push the current title and chapters of an already uploaded meeting to YouTube
+ */
+async function processRetitleJob(job) {
+  const { meetingId } = job.data;
+  
+  const meeting = await getMeeting(meetingId);
+  
+  if (!meeting) {
+    throw new Error(`Meeting ${meetingId} not found`);
+  }
+  
+  const videoId = videoIdFor(meeting);
+  if (!videoId) {
+    console.log(JSON.stringify({
+      message: 'Meeting has no YouTube video, skipping retitle',
+      meeting_id: meetingId,
+      job_id: job.id,
+      step: 'retitle_skip'
+    }));
+    return;
+  }
+  
+  // An alias shares its original's video, which keeps the original's title
+  if (meeting.alias_of) {
+    const original = await getMeeting(meeting.alias_of);
+    if (original && videoIdFor(original) === videoId) {
+      console.log(JSON.stringify({
+        message: 'YouTube video belongs to the original meeting, skipping retitle',
+        meeting_id: meetingId,
+        alias_of: meeting.alias_of,
+        video_id: videoId,
+        job_id: job.id,
+        step: 'retitle_skip'
+      }));
+      return;
+    }
+  }
+  
+  if (meeting.youtube_series) {
+    const parts = await getVideoParts(meetingId);
+    await updateSeriesMetadata(meeting, parts);
+    
+    console.log(JSON.stringify({
+      message: 'YouTube video part metadata updated',
+      meeting_id: meetingId,
+      parts: parts.length,
+      job_id: job.id,
+      step: 'retitle_complete'
+    }));
+    return;
+  }
+  
+  const title = buildVideoTitle(meeting);
+  const chaptersType = meeting.youtube_trimmed ? StorageTypes.DERIVED_CHAPTERS_TRIMMED : StorageTypes.DERIVED_CHAPTERS;
+  const description = await buildDescription(meeting, await readChaptersText(meetingId, chaptersType));
+  
+  console.log(JSON.stringify({
+    message: 'Updating YouTube video metadata',
+    meeting_id: meetingId,
+    video_id: videoId,
+    title,
+    step: 'retitle_start'
+  }));
+  
+  await updateYouTubeVideo({ videoId, title, description });
+  
+  console.log(JSON.stringify({
+    message: 'YouTube video metadata updated',
+    meeting_id: meetingId,
+    video_id: videoId,
+    job_id: job.id,
+    step: 'retitle_complete'
+  }));
+}
+
+async function clearUploadIntent(meetingId) {
+  try {
+    await updateMeeting(meetingId, { youtube_upload_intent: null });
+  } catch (error) {
+    console.warn(JSON.stringify({
+      message: 'Could not clear upload intent',
+      meeting_id: meetingId,
+      error: error.message,
+      step: 'upload_intent'
+    }));
+  }
+}
+
+async function processUploadJob(job, token) {
+  if (job.name === 'retitle') {
+    return processRetitleJob(job);
+  }
+  
   const { meetingId } = job.data;
   
   console.log(JSON.stringify({
@@ -121,8 +613,13 @@ async function processUploadJob(job) {
   }));
   
   try {
-    // Upload to YouTube
-    const ytResult = await uploadMeetingToYouTube(meetingId);
+    const meeting = await getMeeting(meetingId);
+    const original = meeting?.alias_of ? await originalForAlias(meeting, job, token) : null;
+    
+    // Upload to YouTube, unless the same video is already there
+    const ytResult = original
+      ? await attachExistingVideo(meeting, original)
+      : await uploadMeetingToYouTube(meetingId, job);
     
     // Advance to next step
     await advanceWorkflow(meetingId, 'EXTRACTED', {
@@ -131,6 +628,9 @@ async function processUploadJob(job) {
       playlist_results: ytResult.playlistResults
     });
     
+    // The upload is accounted for; a later restart from EXTRACTED uploads afresh
+    await clearUploadIntent(meetingId);
+    
     console.log(JSON.stringify({
       message: 'Upload job completed',
       meeting_id: meetingId,
@@ -140,6 +640,8 @@ async function processUploadJob(job) {
     }));
     
   } catch (error) {
+    if (error instanceof DelayedError) throw error;
+    
     await handleWorkflowFailure(meetingId, 'EXTRACTED', error);
     throw error;
   }
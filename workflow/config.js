@@ -1,9 +1,30 @@
 export const WORKFLOW_STEPS = {
+  // Pre-video states are driven by discovery re-polling the calendar, not by a queue
+  SCHEDULED: {
+    nextState: 'AWAITING_VIDEO',
+    queue: null,
+    description: 'Meeting is on the calendar but has not happened yet'
+  },
+  AWAITING_VIDEO: {
+    nextState: 'DISCOVERED',
+    queue: null,
+    description: 'Meeting date has passed but no video is posted yet'
+  },
+  VIDEO_NEVER_POSTED: {
+    nextState: null,
+    queue: null,
+    description: 'No video appeared within the grace window (terminal unless video shows up later)'
+  },
   DISCOVERED: { 
     nextState: 'DOWNLOADED', 
     queue: 'download',
     description: 'Meeting found and stored in database'
   },
+  DOWNLOAD_DEFERRED: {
+    nextState: 'DOWNLOADED',
+    queue: 'download',
+    description: 'Video not posted yet; a delayed download job will try again'
+  },
   DOWNLOADED: { 
     nextState: 'EXTRACTED', 
     queue: 'extract',
@@ -24,6 +45,16 @@ export const WORKFLOW_STEPS = {
     queue: null,
     description: 'Audio transcribed and diarized (terminal state)'
   },
+  AUDIO_UNAVAILABLE: {
+    nextState: null,
+    queue: null,
+    description: 'No audio could be extracted for diarization; the video is still uploaded (resumes if an audio retry succeeds)'
+  },
+  CANCELLED: {
+    nextState: null,
+    queue: null,
+    description: 'Calendar shows the meeting as cancelled or postponed (terminal unless reinstated)'
+  },
   FAILED: { 
     nextState: null, 
     queue: null,
@@ -1,14 +1,20 @@
 import { WORKFLOW_STEPS, QUEUE_NAMES } from './config.js';
-import { updateMeetingState } from '../api/meetings-client.js';
+import { updateMeetingState, updateMeeting } from '../api/meetings-client.js';
 import { createQueue } from '../queue/config.js';
 
+const AUDIO_RETRY_ATTEMPTS = parseInt(process.env.AUDIO_RETRY_ATTEMPTS) || 3;
+const AUDIO_RETRY_DELAY_MS = (parseInt(process.env.AUDIO_RETRY_DELAY_MINUTES) || 10) * 60 * 1000;
+
 /**
  * Advance a meeting to the next step in the workflow
  * @param {string} meetingId - Meeting ID
  * @param {string} currentState - Current meeting state
  * @param {Object} additionalData - Additional data to store with state update
+ * @param {Object} [options]
+ * @param {string} [options.state] - State to record instead of the next step's,
+ *   when the meeting moves on with something missing; the next job is still queued
  */
-export async function advanceWorkflow(meetingId, currentState, additionalData = {}) {
+export async function advanceWorkflow(meetingId, currentState, additionalData = {}, { state = null } = {}) {
   const step = WORKFLOW_STEPS[currentState];
   
   if (!step) {
@@ -19,14 +25,14 @@ export async function advanceWorkflow(meetingId, currentState, additionalData =
     message: 'Advancing workflow',
     meeting_id: meetingId,
     from_state: currentState,
-    to_state: step.nextState,
+    to_state: state || step.nextState,
     next_queue: step.queue,
     step: 'workflow_advance'
   }));
   
   // Update meeting state
   if (step.nextState) {
-    await updateMeetingState(meetingId, step.nextState, additionalData);
+    await updateMeetingState(meetingId, state || step.nextState, additionalData);
     
     // Get the next step's queue
     const nextStep = WORKFLOW_STEPS[step.nextState];
@@ -92,6 +98,11 @@ export async function restartWorkflow(meetingId, fromState) {
   // Reset to the starting state
   await updateMeetingState(meetingId, fromState);
   
+  // A restarted download gets a fresh deferral window
+  if (fromState === 'DISCOVERED') {
+    await updateMeeting(meetingId, { download_deferred_since: null, download_deferrals: 0, next_download_at: null });
+  }
+  
   // Enqueue the appropriate job
   if (step.queue) {
     const queue = createQueue(step.queue);
@@ -102,6 +113,87 @@ export async function restartWorkflow(meetingId, fromState) {
   }
 }
 
+/**
+ * Queue an audio-only extraction for a meeting whose audio failed, on the
+ * extract queue. It retries on its own schedule, independent of the workflow.
+ * @param {string} meetingId - Meeting ID
+ * @returns {Promise<string>} - Job ID
+ */
+export async function enqueueAudioRetry(meetingId) {
+  const queue = createQueue(QUEUE_NAMES.EXTRACT);
+  const jobId = `audio-${meetingId}-${Date.now()}`;
+  
+  await queue.add('audio', { meetingId }, {
+    jobId,
+    attempts: AUDIO_RETRY_ATTEMPTS,
+    backoff: {
+      type: 'exponential',
+      delay: AUDIO_RETRY_DELAY_MS,
+    },
+  });
+  await queue.close();
+  
+  console.log(JSON.stringify({
+    message: 'Enqueued audio retry',
+    meeting_id: meetingId,
+    queue: QUEUE_NAMES.EXTRACT,
+    job_id: jobId,
+    attempts: AUDIO_RETRY_ATTEMPTS,
+    step: 'workflow_enqueue'
+  }));
+  
+  return jobId;
+}
+
+/**
+ * Schedule another download attempt for a meeting whose video is not posted yet
+ * @param {string} meetingId - Meeting ID
+ * @param {number} deferral - How many times the download has been deferred, this one included
+ * @param {number} delayMs - When to try again
+ * @returns {Promise<string>} - Job ID
+ */
+export async function enqueueDeferredDownload(meetingId, deferral, delayMs) {
+  const queue = createQueue(QUEUE_NAMES.DOWNLOAD);
+  const jobId = `${QUEUE_NAMES.DOWNLOAD}-${meetingId}-retry-${deferral}`;
+  
+  await queue.add('process', { meetingId }, { jobId, delay: delayMs });
+  await queue.close();
+  
+  console.log(JSON.stringify({
+    message: 'Enqueued deferred download',
+    meeting_id: meetingId,
+    queue: QUEUE_NAMES.DOWNLOAD,
+    job_id: jobId,
+    delay_ms: delayMs,
+    step: 'workflow_enqueue'
+  }));
+  
+  return jobId;
+}
+
+/**
+ * Put a meeting that was parked in AUDIO_UNAVAILABLE back in line for diarization
+ * @param {string} meetingId - Meeting ID
+ */
+export async function resumeDiarization(meetingId) {
+  await updateMeetingState(meetingId, 'UPLOADED');
+  
+  // The skipped diarize job may still be kept under `diarize-<id>`, which
+  // would swallow a new job with the same ID
+  const queue = createQueue(QUEUE_NAMES.DIARIZE);
+  const jobId = `${QUEUE_NAMES.DIARIZE}-${meetingId}-${Date.now()}`;
+  await queue.add('process', { meetingId }, { jobId });
+  await queue.close();
+  
+  console.log(JSON.stringify({
+    message: 'Resumed diarization',
+    meeting_id: meetingId,
+    queue: QUEUE_NAMES.DIARIZE,
+    job_id: jobId,
+    step: 'workflow_enqueue'
+  }));
+}
+
 /**
  * Get the next queue for a given state
  * @param {string} state - Current state
@@ -25,6 +25,32 @@ const CLIENT_ID = process.env.GOOGLE_OAUTH_CLIENT_ID;
 const CLIENT_SECRET = process.env.GOOGLE_OAUTH_CLIENT_SECRET;
 const REDIRECT_URI = process.env.GOOGLE_OAUTH_REDIRECT_URI || 'http://localhost';
 
+const RESUMABLE_UPLOAD_URL = 'https://www.googleapis.com/upload/youtube/v3/videos';
+// Chunks other than the last must be a multiple of 256 KiB
+const CHUNK_BYTES = (parseInt(process.env.YOUTUBE_UPLOAD_CHUNK_MB, 10) || 32) * 1024 * 1024;
+// YouTube keeps an upload session for about a week; start over before it lapses mid-upload
+const SESSION_MAX_AGE_MS = (parseFloat(process.env.YOUTUBE_UPLOAD_SESSION_DAYS) || 6) * 24 * 60 * 60 * 1000;
+// A chunk that fails on the network or a 5xx is retried from the last acknowledged byte
+const CHUNK_RETRIES = 3;
+const CHUNK_RETRY_DELAY_MS = 5000;
+
+// Videos YouTube will never publish; a new upload replaces them
+const UNUSABLE_UPLOAD_STATUSES = ['deleted', 'failed', 'rejected'];
+// How far back through the channel's uploads to look for a marker tag
+const MARKER_SEARCH_PAGES = 4;
+// Allows for clock skew between us and YouTube when comparing upload times
+const MARKER_SEARCH_SLACK_MS = 60 * 60 * 1000;
+
+/**
+ * The upload session is gone (404/410) and the upload has to start over
+ */
+class UploadSessionExpiredError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UploadSessionExpiredError';
+  }
+}
+
 async function loadTokenFromDisk() {
   try {
     const raw = await fs.readFile(TOKEN_PATH, 'utf8');
@@ -133,6 +159,190 @@ async function getNewToken(oAuth2Client) {
   }
 }
 
+/**
+ * Error for a failed API response, with the body where error.response.data
+ * has it for googleapis errors
+ */
+async function apiError(res, message) {
+  const text = await res.text().catch(() => '');
+  let data = text;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // Not JSON; keep the text
+  }
+  const error = new Error(`${message}: HTTP ${res.status}`);
+  error.status = res.status;
+  error.response = { status: res.status, data };
+  return error;
+}
+
+async function authHeaders(auth) {
+  const { token } = await auth.getAccessToken();
+  return { Authorization: `Bearer ${token}` };
+}
+
+/**
+ * Where an upload stands after a chunk or status query
+ * @returns {Promise<{offset: number, video: Object|null}>} - Next byte to send,
+ *   or the video resource once YouTube has the whole file
+ */
+async function readUploadStatus(res, fileSize) {
+  if (res.status === 200 || res.status === 201) {
+    return { offset: fileSize, video: await res.json() };
+  }
+  if (res.status === 308) {
+    // "bytes=0-N" acknowledges N + 1 bytes; no header means none yet
+    const match = res.headers.get('range')?.match(/bytes=0-(\d+)/);
+    return { offset: match ? parseInt(match[1], 10) + 1 : 0, video: null };
+  }
+  if (res.status === 404 || res.status === 410) {
+    throw new UploadSessionExpiredError(`Upload session expired (HTTP ${res.status})`);
+  }
+  throw await apiError(res, 'Upload failed');
+}
+
+function isRetryableUploadError(error) {
+  if (error instanceof UploadSessionExpiredError) return false;
+  // fetch rejects with a TypeError when the connection fails
+  return error instanceof TypeError || (error.status >= 500 && error.status < 600);
+}
+
+/**
+ * A saved session, if it is for this file and young enough to finish
+ */
+function usableSession(session, videoPath, fileSize) {
+  if (!session?.uri) return null;
+
+  let reason = null;
+  if (session.video_path !== videoPath || session.size !== fileSize) {
+    reason = 'file changed';
+  } else if (Date.now() - Date.parse(session.started_at) > SESSION_MAX_AGE_MS) {
+    reason = 'session too old';
+  }
+
+  if (reason) {
+    console.log(`Discarding saved upload session (${reason}), starting over`);
+    return null;
+  }
+  return session;
+}
+
+async function startUploadSession(auth, videoPath, fileSize, metadata) {
+  const res = await fetch(`${RESUMABLE_UPLOAD_URL}?uploadType=resumable&part=snippet,status`, {
+    method: 'POST',
+    headers: {
+      ...await authHeaders(auth),
+      'Content-Type': 'application/json; charset=UTF-8',
+      'X-Upload-Content-Length': String(fileSize),
+      'X-Upload-Content-Type': 'video/*'
+    },
+    body: JSON.stringify(metadata)
+  });
+  if (!res.ok) throw await apiError(res, 'Could not start upload session');
+
+  const uri = res.headers.get('location');
+  if (!uri) throw new Error('Upload session response had no Location header');
+
+  return { uri, video_path: videoPath, size: fileSize, started_at: new Date().toISOString() };
+}
+
+/**
+ * Ask YouTube how much of the file it has
+ */
+async function queryUploadStatus(auth, session, fileSize) {
+  const res = await fetch(session.uri, {
+    method: 'PUT',
+    headers: {
+      ...await authHeaders(auth),
+      'Content-Range': `bytes */${fileSize}`
+    }
+  });
+  return readUploadStatus(res, fileSize);
+}
+
+async function sendChunk(auth, session, fileHandle, offset, fileSize) {
+  const length = Math.min(CHUNK_BYTES, fileSize - offset);
+  const chunk = Buffer.alloc(length);
+  await fileHandle.read(chunk, 0, length, offset);
+
+  const res = await fetch(session.uri, {
+    method: 'PUT',
+    headers: {
+      ...await authHeaders(auth),
+      'Content-Type': 'video/*',
+      'Content-Range': `bytes ${offset}-${offset + length - 1}/${fileSize}`
+    },
+    body: chunk
+  });
+  return readUploadStatus(res, fileSize);
+}
+
+/**
+ * Upload a file through a resumable session, continuing a saved one when it
+ * is still good. YouTube only creates the video once the last byte arrives.
+ * The session is left saved: until the video ID is recorded, querying it is
+ * how a retry gets the finished video back.
+ * @returns {Promise<Object>} - The video resource
+ */
+async function resumableUpload(auth, { videoPath, fileSize, metadata, session, onSession, onProgress }) {
+  let current = usableSession(session, videoPath, fileSize);
+  let status = { offset: 0, video: null };
+
+  if (current) {
+    try {
+      status = await queryUploadStatus(auth, current, fileSize);
+      console.log(`Resuming upload session at byte ${status.offset} of ${fileSize}`);
+    } catch (error) {
+      if (!(error instanceof UploadSessionExpiredError)) throw error;
+      console.log('Saved upload session has expired, starting over');
+      current = null;
+    }
+  }
+
+  if (!current) {
+    current = await startUploadSession(auth, videoPath, fileSize, metadata);
+    status = { offset: 0, video: null };
+    await onSession?.(current);
+  }
+
+  const fileHandle = await fs.open(videoPath, 'r');
+  let lastReportedProgress = Math.floor((status.offset / fileSize) * 10) * 10;
+  try {
+    let retries = 0;
+    while (!status.video) {
+      try {
+        status = await sendChunk(auth, current, fileHandle, status.offset, fileSize);
+        retries = 0;
+      } catch (error) {
+        if (!isRetryableUploadError(error) || ++retries > CHUNK_RETRIES) throw error;
+        console.warn(`Upload chunk failed (${error.message}), retrying from the last acknowledged byte`);
+        await new Promise(resolve => setTimeout(resolve, CHUNK_RETRY_DELAY_MS * retries));
+        status = await queryUploadStatus(auth, current, fileSize);
+        continue;
+      }
+
+      const percent = Math.round((status.offset / fileSize) * 1000) / 10;
+      onProgress?.({ uploadedBytes: status.offset, totalBytes: fileSize, percent });
+
+      // Only log when we cross a 10% threshold
+      const currentTenPercent = Math.floor(percent / 10) * 10;
+      if (currentTenPercent > lastReportedProgress) {
+        console.log(`${currentTenPercent}% complete`);
+        lastReportedProgress = currentTenPercent;
+      }
+    }
+  } catch (error) {
+    // The next attempt cannot use it either
+    if (error instanceof UploadSessionExpiredError) await onSession?.(null);
+    throw error;
+  } finally {
+    await fileHandle.close();
+  }
+
+  return status.video;
+}
+
 /**
  * Upload a video to YouTube
  * @param {Object} options - Upload options
@@ -143,6 +353,12 @@ async function getNewToken(oAuth2Client) {
  * @param {string} options.categoryId - YouTube category ID
  * @param {string} options.privacyStatus - Privacy status (public, unlisted, private)
  * @param {string|string[]} options.playlistIds - YouTube playlist ID(s) to add the video to
+ * @param {Object} [options.session] - Upload session saved by onSession, resumed when still valid
+ * @param {Function} [options.onSession] - Called with a new session to save, and with null once the video is recorded
+ * @param {Function} [options.onProgress] - Called with { uploadedBytes, totalBytes, percent } after each chunk
+ * @param {string} [options.marker] - Tag identifying the upload, for findUploadedVideo
+ * @param {Function} [options.onUploaded] - Awaited with the video ID as soon as YouTube has the video,
+ *   before playlists are updated
  * @returns {Promise<Object>} - Upload result with videoId
  */
 async function uploadToYouTube(options) {
@@ -153,15 +369,21 @@ async function uploadToYouTube(options) {
     tags = [], 
     categoryId = '25', // News & Politics
     privacyStatus = 'unlisted',
-    playlistIds = []
+    playlistIds = [],
+    session = null,
+    onSession,
+    onProgress,
+    marker = null,
+    onUploaded
   } = options;
+  const videoTags = marker ? [...tags, marker] : tags;
   
   try {
     console.log('\n--- YouTube Upload Parameters ---');
     console.log(`Title: ${title}`);
     console.log(`Video Path: ${videoPath}`);
     console.log(`Description length: ${description.length} characters`);
-    console.log(`Tags: ${tags.join(', ')}`);
+    console.log(`Tags: ${videoTags.join(', ')}`);
     console.log(`Category ID: ${categoryId}`);
     console.log(`Privacy Status: ${privacyStatus}`);
     console.log(`Playlist IDs: ${playlistIds.length > 0 ? (Array.isArray(playlistIds) ? playlistIds.join(', ') : playlistIds) : 'None'}`);
@@ -183,14 +405,15 @@ async function uploadToYouTube(options) {
     // Setup upload parameters
     const fileSize = (await fs.stat(videoPath)).size;
     
-    // Upload file
-    const res = await youtube.videos.insert({
-      part: 'snippet,status',
-      requestBody: {
+    // Upload file in chunks, so a crash costs one chunk rather than the whole file
+    const video = await resumableUpload(auth, {
+      videoPath,
+      fileSize,
+      metadata: {
         snippet: {
           title,
           description,
-          tags,
+          tags: videoTags,
           categoryId,
           defaultLanguage: 'en',
           defaultAudioLanguage: 'en'
@@ -200,75 +423,22 @@ async function uploadToYouTube(options) {
           selfDeclaredMadeForKids: false,
         }
       },
-      media: {
-        body: fsExtra.createReadStream(videoPath)
-      }
-    }, {
-      // Optional progress monitoring
-      // this iife is cheeky lol
-      onUploadProgress: (function() {
-        let lastReportedProgress = 0;
-        return evt => {
-          const progress = (evt.bytesRead / fileSize) * 100;
-          const currentTenPercent = Math.floor(progress / 10) * 10;
-          
-          // Only log when we cross a 10% threshold
-          if (currentTenPercent > lastReportedProgress) {
-            console.log(`${currentTenPercent}% complete`);
-            lastReportedProgress = currentTenPercent;
-          }
-        };
-      })()
+      session,
+      onSession,
+      onProgress
     });
     
     // Success! Video uploaded
     console.log('Upload successful!');
-    const videoId = res.data.id;
+    const videoId = video.id;
     const videoUrl = `https://youtu.be/${videoId}`;
     
-    // Add to playlists if playlist IDs were provided
-    const playlistResults = [];
+    // Recorded before anything else can fail, so a retry finds this video
+    await onUploaded?.(videoId);
+    await onSession?.(null);
     
-    if (playlistIds.length > 0) {
-      // Convert single ID to array for consistent processing if it's not already an array
-      const playlistIdArray = Array.isArray(playlistIds) ? playlistIds : [playlistIds];
-      
-      // Filter out null/undefined/empty playlist IDs
-      const validPlaylistIds = playlistIdArray.filter(id => id && typeof id === 'string' && id.trim() !== '');
-      
-      for (const playlistId of validPlaylistIds) {
-        try {
-          console.log(`Adding video to playlist: ${playlistId}`);
-          const result = await youtube.playlistItems.insert({
-            part: 'snippet',
-            requestBody: {
-              snippet: {
-                playlistId: playlistId,
-                resourceId: {
-                  kind: 'youtube#video',
-                  videoId: videoId
-                }
-              }
-            }
-          });
-          console.log(`Successfully added to playlist: ${playlistId}`);
-          playlistResults.push({
-            playlistId,
-            success: true
-          });
-        } catch (playlistError) {
-          console.error(`Error adding to playlist ${playlistId}:`, playlistError);
-          if (playlistError.response) {
-            console.error('API response error:', playlistError.response.data);
-          }
-          playlistResults.push({
-            playlistId,
-            success: false,
-            error: playlistError.message
-          });
-        }
-      }
-    }
+    // Add to playlists if playlist IDs were provided
+    const playlistResults = await insertPlaylistItems(youtube, videoId, playlistIds);
     
     return {
       videoId,
@@ -287,6 +457,196 @@ async function uploadToYouTube(options) {
   }
 }
 
+/**
+ * Add a video to playlists, recording each playlist's outcome
+ * @returns {Promise<Array>} - { playlistId, success, error } per playlist
+ */
+async function insertPlaylistItems(youtube, videoId, playlistIds) {
+  const playlistResults = [];
+  
+  // Convert single ID to array for consistent processing if it's not already an array
+  const playlistIdArray = Array.isArray(playlistIds) ? playlistIds : [playlistIds];
+  
+  // Filter out null/undefined/empty playlist IDs
+  const validPlaylistIds = playlistIdArray.filter(id => id && typeof id === 'string' && id.trim() !== '');
+  
+  for (const playlistId of validPlaylistIds) {
+    try {
+      console.log(`Adding video to playlist: ${playlistId}`);
+      await youtube.playlistItems.insert({
+        part: 'snippet',
+        requestBody: {
+          snippet: {
+            playlistId: playlistId,
+            resourceId: {
+              kind: 'youtube#video',
+              videoId: videoId
+            }
+          }
+        }
+      });
+      console.log(`Successfully added to playlist: ${playlistId}`);
+      playlistResults.push({
+        playlistId,
+        success: true
+      });
+    } catch (playlistError) {
+      console.error(`Error adding to playlist ${playlistId}:`, playlistError);
+      if (playlistError.response) {
+        console.error('API response error:', playlistError.response.data);
+      }
+      playlistResults.push({
+        playlistId,
+        success: false,
+        error: playlistError.message
+      });
+    }
+  }
+  
+  return playlistResults;
+}
+
+/**
+ * Add an already uploaded video to playlists it is not in yet
+ * @param {string} videoId - YouTube video ID
+ * @param {string|string[]} playlistIds - YouTube playlist ID(s)
+ * @returns {Promise<Array|null>} - Result per playlist, or null when there were none
+ */
+async function addToPlaylists(videoId, playlistIds) {
+  const auth = await authorize();
+  const youtube = google.youtube({
+    version: 'v3',
+    auth
+  });
+  
+  const missing = [];
+  const present = [];
+  for (const playlistId of [].concat(playlistIds).filter(Boolean)) {
+    const { data } = await youtube.playlistItems.list({ part: 'id', playlistId, videoId, maxResults: 1 });
+    if (data.items && data.items.length > 0) {
+      console.log(`Video already in playlist: ${playlistId}`);
+      present.push({ playlistId, success: true });
+    } else {
+      missing.push(playlistId);
+    }
+  }
+  
+  const playlistResults = [...present, ...await insertPlaylistItems(youtube, videoId, missing)];
+  return playlistResults.length > 0 ? playlistResults : null;
+}
+
+/**
+ * Find a video an earlier attempt uploaded: by its ID when that was
+ * recorded, otherwise by its marker tag among the channel's recent uploads
+ * @param {Object} options
+ * @param {string} [options.videoId] - Video ID the earlier attempt recorded
+ * @param {string} [options.marker] - Tag the earlier attempt uploaded with
+ * @param {string} [options.since] - When the earlier attempt started (ISO)
+ * @returns {Promise<string|null>} - Video ID, or null when there is no usable video
+ */
+async function findUploadedVideo({ videoId, marker, since }) {
+  const auth = await authorize();
+  const youtube = google.youtube({
+    version: 'v3',
+    auth
+  });
+  
+  const usable = video => video && !UNUSABLE_UPLOAD_STATUSES.includes(video.status?.uploadStatus);
+  
+  if (videoId) {
+    const { data } = await youtube.videos.list({ part: 'status', id: videoId });
+    const video = data.items && data.items[0];
+    if (!usable(video)) {
+      console.log(`Earlier upload ${videoId} is ${video ? video.status.uploadStatus : 'gone'}`);
+      return null;
+    }
+    return videoId;
+  }
+  
+  if (!marker) return null;
+  
+  const { data: channels } = await youtube.channels.list({ part: 'contentDetails', mine: true });
+  const uploadsPlaylistId = channels.items?.[0]?.contentDetails?.relatedPlaylists?.uploads;
+  if (!uploadsPlaylistId) return null;
+  
+  // Uploads are listed newest first; stop at the ones from before the attempt
+  const cutoff = since ? Date.parse(since) - MARKER_SEARCH_SLACK_MS : 0;
+  let pageToken;
+  for (let page = 0; page < MARKER_SEARCH_PAGES; page++) {
+    const { data: uploads } = await youtube.playlistItems.list({
+      part: 'contentDetails',
+      playlistId: uploadsPlaylistId,
+      maxResults: 50,
+      pageToken
+    });
+    const items = uploads.items || [];
+    const recent = items.filter(item => !item.contentDetails.videoPublishedAt
+      || Date.parse(item.contentDetails.videoPublishedAt) >= cutoff);
+    
+    if (recent.length > 0) {
+      const { data: videos } = await youtube.videos.list({
+        part: 'snippet,status',
+        id: recent.map(item => item.contentDetails.videoId).join(',')
+      });
+      const match = (videos.items || []).find(video => usable(video) && video.snippet.tags?.includes(marker));
+      if (match) return match.id;
+    }
+    
+    pageToken = uploads.nextPageToken;
+    if (!pageToken || recent.length < items.length) break;
+  }
+  
+  return null;
+}
+
+/**
+ * Update the title and/or description of an existing YouTube video
+ * @param {Object} options - Update options
+ * @param {string} options.videoId - YouTube video ID
+ * @param {string} [options.title] - New video title
+ * @param {string} [options.description] - New video description
+ * @returns {Promise<Object>} - Updated video snippet
+ */
+async function updateYouTubeVideo(options) {
+  const { videoId, title, description } = options;
+  
+  const auth = await authorize();
+  const youtube = google.youtube({
+    version: 'v3',
+    auth
+  });
+  
+  // videos.update replaces the whole snippet, so start from the current one
+  const { data } = await youtube.videos.list({
+    part: 'snippet',
+    id: videoId
+  });
+  
+  const video = data.items && data.items[0];
+  if (!video) {
+    throw new Error(`YouTube video ${videoId} not found`);
+  }
+  
+  const current = video.snippet;
+  const res = await youtube.videos.update({
+    part: 'snippet',
+    requestBody: {
+      id: videoId,
+      snippet: {
+        title: title ?? current.title,
+        description: description ?? current.description,
+        tags: current.tags,
+        categoryId: current.categoryId,
+        defaultLanguage: current.defaultLanguage,
+        defaultAudioLanguage: current.defaultAudioLanguage
+      }
+    }
+  });
+  
+  console.log(`Updated YouTube video ${videoId}`);
+  return res.data.snippet;
+}
+
 // Command-line interface
 async function main() {
   // Parse command line args or environment variables
@@ -351,4 +711,4 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
 }
 
 // Export for programmatic use
-export { uploadToYouTube };
+export { uploadToYouTube, updateYouTubeVideo, addToPlaylists, findUploadedVideo };